@@ -0,0 +1,224 @@
+const path = require('path');
+const CookieManager = require('./cookieManager');
+
+const ACCOUNTS_KEY = 'accounts';
+const ROUND_ROBIN_KEY = 'accounts:round-robin';
+const DEFAULT_ACCOUNT = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const STOREFRONT_PATTERN = /^[a-z]{2}$/;
+// Cookie states gamdl can still work with
+const USABLE_COOKIE_STATES = ['ok', 'expiring'];
+
+function getLeasesKey(name) {
+    return `accounts:leases:${name}`;
+}
+
+function getBenchKey(name) {
+    return `accounts:benched:${name}`;
+}
+
+// Named Apple Music accounts, each with its own cookies file, storefront and
+// concurrency limit. Profiles live in Redis; running jobs hold a lease on their
+// account (a sorted set scored by lease expiry), so limits apply across replicas
+// and a crashed worker's lease simply runs out. The "default" account always
+// exists and uses the cookies file from before profiles were added.
+class AccountPool {
+    constructor(redisClient, defaultCookieManager, { cookiesDir, defaultStorefront, defaultMaxConcurrency, benchSeconds, leaseMs, selection }) {
+        this.redisClient = redisClient;
+        this.cookiesDir = cookiesDir;
+        this.defaultStorefront = defaultStorefront;
+        this.defaultMaxConcurrency = defaultMaxConcurrency;
+        this.benchSeconds = benchSeconds;
+        this.leaseMs = leaseMs;
+        this.selection = selection;
+        this.cookieManagers = new Map([[DEFAULT_ACCOUNT, defaultCookieManager]]);
+    }
+
+    // Returns an error message, or null when the profile is valid
+    validateProfile({ name, storefront, maxConcurrency }) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            return 'name must be 1-32 lowercase letters, digits, - or _';
+        }
+        if (storefront !== undefined && (typeof storefront !== 'string' || !STOREFRONT_PATTERN.test(storefront))) {
+            return 'storefront must be a two-letter country code such as "us"';
+        }
+        if (maxConcurrency !== undefined && (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)) {
+            return 'maxConcurrency must be a positive integer';
+        }
+        return null;
+    }
+
+    getCookieManager(name) {
+        if (!this.cookieManagers.has(name)) {
+            this.cookieManagers.set(name, new CookieManager(path.join(this.cookiesDir, 'accounts', `${name}.txt`)));
+        }
+        return this.cookieManagers.get(name);
+    }
+
+    async getAccount(name) {
+        const data = await this.redisClient.hget(ACCOUNTS_KEY, name);
+        if (data) {
+            return JSON.parse(data);
+        }
+        if (name === DEFAULT_ACCOUNT) {
+            return {
+                name,
+                storefront: this.defaultStorefront,
+                maxConcurrency: this.defaultMaxConcurrency,
+                createdAt: null
+            };
+        }
+        return null;
+    }
+
+    async listAccounts() {
+        const stored = await this.redisClient.hgetall(ACCOUNTS_KEY);
+        const names = new Set([DEFAULT_ACCOUNT, ...Object.keys(stored)]);
+        const accounts = [];
+        for (const name of [...names].sort()) {
+            accounts.push(await this.getAccount(name));
+        }
+        return accounts;
+    }
+
+    // Create or update a profile; omitted fields keep their current value
+    async saveAccount({ name, storefront, maxConcurrency }) {
+        const current = await this.getAccount(name);
+        const account = {
+            name,
+            storefront: storefront ?? (current ? current.storefront : this.defaultStorefront),
+            maxConcurrency: maxConcurrency ?? (current ? current.maxConcurrency : this.defaultMaxConcurrency),
+            createdAt: (current && current.createdAt) || new Date().toISOString()
+        };
+        await this.redisClient.hset(ACCOUNTS_KEY, name, JSON.stringify(account));
+        return account;
+    }
+
+    // The default account cannot be removed, only reset to its defaults
+    async removeAccount(name) {
+        const account = await this.getAccount(name);
+        if (!account) {
+            return false;
+        }
+
+        await this.redisClient
+            .multi()
+            .hdel(ACCOUNTS_KEY, name)
+            .del(getBenchKey(name))
+            .exec();
+
+        if (name !== DEFAULT_ACCOUNT) {
+            await this.getCookieManager(name).remove();
+            this.cookieManagers.delete(name);
+        }
+        return true;
+    }
+
+    // Profile plus cookie state, running jobs and bench status
+    async describe(account) {
+        const [cookies, active, bench] = await Promise.all([
+            this.getCookieManager(account.name).getStatus(),
+            this.getActiveCount(account.name),
+            this.getBench(account.name)
+        ]);
+
+        return {
+            ...account,
+            active,
+            benchedUntil: bench ? bench.until : null,
+            benchReason: bench ? bench.reason : null,
+            cookies
+        };
+    }
+
+    async getActiveCount(name) {
+        const key = getLeasesKey(name);
+        const [, [, count]] = await this.redisClient
+            .multi()
+            .zremrangebyscore(key, 0, Date.now())
+            .zcard(key)
+            .exec();
+        return count;
+    }
+
+    async getBench(name) {
+        const data = await this.redisClient.get(getBenchKey(name));
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Keep an account out of rotation for benchSeconds, e.g. after its cookies were rejected
+    async bench(name, reason) {
+        const until = new Date(Date.now() + this.benchSeconds * 1000).toISOString();
+        await this.redisClient.setex(getBenchKey(name), this.benchSeconds, JSON.stringify({ reason, until }));
+        console.warn(`🪑 Benched account ${name} until ${until}: ${reason}`);
+    }
+
+    async unbench(name) {
+        await this.redisClient.del(getBenchKey(name));
+    }
+
+    // Accounts that may take jobs at all: not benched and with usable cookies
+    async getEligibleAccounts() {
+        const eligible = [];
+        for (const account of await this.listAccounts()) {
+            if (await this.getBench(account.name)) {
+                continue;
+            }
+            const cookies = await this.getCookieManager(account.name).getStatus();
+            if (USABLE_COOKIE_STATES.includes(cookies.status)) {
+                eligible.push({ ...account, cookiesPath: cookies.path });
+            }
+        }
+        return eligible;
+    }
+
+    // An eligible account for a quick catalog request that needs no lease, preferring
+    // one in the given storefront; null when none is eligible
+    async pickAccount(storefront) {
+        const eligible = await this.getEligibleAccounts();
+        return eligible.find(account => account.storefront === storefront) || eligible[0] || null;
+    }
+
+    // Lease an account for a job. Accounts in the URL's storefront come first when
+    // selection is "storefront"; ties are broken round-robin. Resolves to
+    // { account } on success, or { reason } with "busy" (all eligible accounts at
+    // their limit) or "unavailable" (no eligible account at all).
+    async acquire(jobId, storefront) {
+        const eligible = await this.getEligibleAccounts();
+        if (eligible.length === 0) {
+            return { reason: 'unavailable' };
+        }
+
+        const offset = await this.redisClient.incr(ROUND_ROBIN_KEY);
+        const rotated = eligible.map((_, i) => eligible[(offset + i) % eligible.length]);
+        const ordered = this.selection === 'storefront'
+            ? [
+                ...rotated.filter(account => account.storefront === storefront),
+                ...rotated.filter(account => account.storefront !== storefront)
+            ]
+            : rotated;
+
+        for (const account of ordered) {
+            const key = getLeasesKey(account.name);
+            const [, , [, count]] = await this.redisClient
+                .multi()
+                .zremrangebyscore(key, 0, Date.now())
+                .zadd(key, Date.now() + this.leaseMs, jobId)
+                .zcard(key)
+                .exec();
+
+            if (count <= account.maxConcurrency) {
+                return { account };
+            }
+            await this.redisClient.zrem(key, jobId);
+        }
+
+        return { reason: 'busy' };
+    }
+
+    async release(name, jobId) {
+        await this.redisClient.zrem(getLeasesKey(name), jobId);
+    }
+}
+
+module.exports = AccountPool;
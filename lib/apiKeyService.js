@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const SCOPES = ['read', 'download', 'admin'];
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.DEFAULT_RATE_LIMIT_PER_MINUTE || '60', 10);
+const DEFAULT_DAILY_DOWNLOAD_QUOTA = parseInt(process.env.DEFAULT_DAILY_DOWNLOAD_QUOTA || '100', 10);
+const BOOTSTRAP_KEY_ID = 'bootstrap-admin';
+
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// API keys live in Redis as JSON records; only a SHA-256 of each key is stored.
+// A limit of 0 means unlimited.
+class ApiKeyService {
+    constructor(redisClient, bootstrapAdminKey) {
+        this.redisClient = redisClient;
+        this.bootstrapHash = bootstrapAdminKey ? hashKey(bootstrapAdminKey) : null;
+    }
+
+    isValidScope(scope) {
+        return SCOPES.includes(scope);
+    }
+
+    // admin grants everything, download also grants read
+    hasScope(apiKey, required) {
+        const scopes = apiKey.scopes;
+        if (scopes.includes('admin') || scopes.includes(required)) {
+            return true;
+        }
+        return required === 'read' && scopes.includes('download');
+    }
+
+    async createKey({ name, scopes, rateLimitPerMinute, dailyDownloadQuota }) {
+        const id = uuidv4();
+        const rawKey = `gamdl_${crypto.randomBytes(24).toString('hex')}`;
+        const keyHash = hashKey(rawKey);
+
+        const apiKey = {
+            id,
+            name,
+            scopes,
+            rateLimitPerMinute: rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+            dailyDownloadQuota: dailyDownloadQuota ?? DEFAULT_DAILY_DOWNLOAD_QUOTA,
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        await this.redisClient
+            .multi()
+            .set(`apikey:${id}`, JSON.stringify({ ...apiKey, keyHash }))
+            .set(`apikey:lookup:${keyHash}`, id)
+            .sadd('apikeys', id)
+            .exec();
+
+        return { ...apiKey, key: rawKey };
+    }
+
+    async getKey(id) {
+        const data = await this.redisClient.get(`apikey:${id}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async listKeys() {
+        const ids = await this.redisClient.smembers('apikeys');
+        const keys = [];
+
+        for (const id of ids) {
+            const apiKey = await this.getKey(id);
+            if (apiKey) {
+                const { keyHash, ...publicFields } = apiKey;
+                keys.push({
+                    ...publicFields,
+                    downloadsToday: await this.getDownloadsToday(id)
+                });
+            }
+        }
+
+        return keys.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async revokeKey(id) {
+        const apiKey = await this.getKey(id);
+        if (!apiKey) {
+            return null;
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date().toISOString();
+            await this.redisClient
+                .multi()
+                .set(`apikey:${id}`, JSON.stringify(apiKey))
+                .del(`apikey:lookup:${apiKey.keyHash}`)
+                .exec();
+        }
+
+        const { keyHash, ...publicFields } = apiKey;
+        return publicFields;
+    }
+
+    // Resolve a raw key to its record, or null when unknown or revoked
+    async authenticate(rawKey) {
+        if (!rawKey) {
+            return null;
+        }
+
+        const keyHash = hashKey(rawKey);
+
+        if (this.bootstrapHash &&
+            crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.bootstrapHash))) {
+            return {
+                id: BOOTSTRAP_KEY_ID,
+                name: 'ADMIN_API_KEY',
+                scopes: ['admin'],
+                rateLimitPerMinute: 0,
+                dailyDownloadQuota: 0
+            };
+        }
+
+        const id = await this.redisClient.get(`apikey:lookup:${keyHash}`);
+        if (!id) {
+            return null;
+        }
+
+        const apiKey = await this.getKey(id);
+        if (!apiKey || apiKey.revokedAt) {
+            return null;
+        }
+        return apiKey;
+    }
+
+    // Fixed one-minute window counter
+    async consumeRateLimit(apiKey) {
+        const limit = apiKey.rateLimitPerMinute;
+        const minute = Math.floor(Date.now() / 60000);
+
+        if (!limit) {
+            return { allowed: true, limit: 0, remaining: null, retryAfterSeconds: 0 };
+        }
+
+        const key = `ratelimit:${apiKey.id}:${minute}`;
+        const [[, count]] = await this.redisClient
+            .multi()
+            .incr(key)
+            .expire(key, 60)
+            .exec();
+
+        return {
+            allowed: count <= limit,
+            limit,
+            remaining: Math.max(0, limit - count),
+            retryAfterSeconds: 60 - Math.floor((Date.now() / 1000) % 60)
+        };
+    }
+
+    async getDownloadsToday(id) {
+        const count = await this.redisClient.get(`quota:${id}:${today()}`);
+        return parseInt(count || '0', 10);
+    }
+
+    // Count one queued download against today's quota, refusing once it is used up
+    async consumeDownloadQuota(apiKey) {
+        const quota = apiKey.dailyDownloadQuota;
+        const key = `quota:${apiKey.id}:${today()}`;
+
+        const [[, used]] = await this.redisClient
+            .multi()
+            .incr(key)
+            .expire(key, 2 * 24 * 60 * 60)
+            .exec();
+
+        if (quota && used > quota) {
+            await this.redisClient.decr(key);
+            return { allowed: false, used: quota, quota };
+        }
+
+        return { allowed: true, used, quota };
+    }
+}
+
+module.exports = ApiKeyService;
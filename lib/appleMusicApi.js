@@ -1,20 +1,32 @@
 const axios = require('axios');
+const TokenManager = require('./tokenManager');
+const { sleep, getBackoffDelay, parseRetryAfter, isTransientHttpError } = require('./retry');
 const {
     AMP_API_URL,
     APPLE_MUSIC_HOMEPAGE_URL,
 } = require('./constants');
 
+// Upper bound on items fetched per relationship (tracks, albums, ...) across all pages
+const MAX_RELATIONSHIP_ITEMS = parseInt(process.env.MAX_RELATIONSHIP_ITEMS || '5000', 10);
+const RELATIONSHIP_PAGE_SIZE = 100;
+const CATALOG_MAX_RETRIES = parseInt(process.env.CATALOG_MAX_RETRIES || '3', 10);
+const CATALOG_RETRY_BASE_MS = parseInt(process.env.CATALOG_RETRY_BASE_MS || '500', 10);
+// Longer waits (including a longer Retry-After) fail the request instead of holding it open
+const CATALOG_RETRY_MAX_DELAY_MS = parseInt(process.env.CATALOG_RETRY_MAX_DELAY_MS || '30000', 10);
+
 class AppleMusicApi {
-    constructor(storefront = 'us', language = 'en-US') {
+    constructor(storefront = 'us', language = 'en-US', maxRelationshipItems = MAX_RELATIONSHIP_ITEMS, tokenManager = null) {
         this.storefront = storefront;
         this.language = language;
-        this.token = null;
+        this.maxRelationshipItems = maxRelationshipItems;
+        this.tokenManager = tokenManager || new TokenManager();
         this.client = null;
     }
 
     async setup() {
         await this._setupClient();
         await this._setupToken();
+        this._setupRetry();
     }
 
     async _setupClient() {
@@ -40,26 +52,80 @@ class AppleMusicApi {
         });
     }
 
+    // The token comes from the shared TokenManager on every request, and a request
+    // rejected with 401/403 is retried once with a freshly fetched token
     async _setupToken() {
-        const response = await axios.get(APPLE_MUSIC_HOMEPAGE_URL);
-        const homePage = response.data;
+        await this.tokenManager.getToken();
+
+        this.client.interceptors.request.use(async (config) => {
+            config.headers['authorization'] = `Bearer ${await this.tokenManager.getToken()}`;
+            return config;
+        });
+
+        this.client.interceptors.response.use(null, async (error) => {
+            const config = error.config;
+            const status = error.response && error.response.status;
+
+            if (!config || config._tokenRetried || (status !== 401 && status !== 403)) {
+                throw error;
+            }
 
-        const indexJsUriMatch = homePage.match(/\/(assets\/index-legacy[~-][^/"]+\.js)/);
-        if (!indexJsUriMatch) {
-            throw new Error('index.js URI not found in Apple Music homepage');
+            config._tokenRetried = true;
+            const rejectedToken = String(config.headers['authorization']).replace('Bearer ', '');
+            await this.tokenManager.invalidate(rejectedToken);
+            return this.client.request(config);
+        });
+    }
+
+    // Transient failures (network errors, 429, 5xx) are retried with jittered
+    // exponential backoff; a Retry-After header from Apple takes precedence
+    _setupRetry() {
+        this.client.interceptors.response.use(null, async (error) => {
+            const config = error.config;
+            if (!config || !isTransientHttpError(error)) {
+                throw error;
+            }
+
+            config._retryCount = (config._retryCount || 0) + 1;
+            if (config._retryCount > CATALOG_MAX_RETRIES) {
+                throw error;
+            }
+
+            const retryAfterMs = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+            const delayMs = retryAfterMs ?? getBackoffDelay(config._retryCount, CATALOG_RETRY_BASE_MS, CATALOG_RETRY_MAX_DELAY_MS);
+            if (delayMs > CATALOG_RETRY_MAX_DELAY_MS) {
+                throw error;
+            }
+
+            const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+            console.warn(`Apple Music request failed (${reason}), retry ${config._retryCount}/${CATALOG_MAX_RETRIES} in ${delayMs}ms`);
+            await sleep(delayMs);
+            return this.client.request(config);
+        });
+    }
+
+    // Follow the `next` links of a relationship until it is complete or the maximum is
+    // reached. Items are appended in place; `truncated` is set when pages were left over.
+    async _fetchAllPages(response, relationshipName, params = {}) {
+        const relationship = response.data[0].relationships?.[relationshipName];
+        if (!relationship || !relationship.data) {
+            return response;
         }
-        const indexJsUri = indexJsUriMatch[1];
 
-        const indexJsResponse = await axios.get(`${APPLE_MUSIC_HOMEPAGE_URL}/${indexJsUri}`);
-        const indexJsPage = indexJsResponse.data;
+        while (relationship.next && relationship.data.length < this.maxRelationshipItems) {
+            const nextUrl = new URL(relationship.next, AMP_API_URL);
+            const remaining = this.maxRelationshipItems - relationship.data.length;
+            nextUrl.searchParams.set('limit', Math.min(RELATIONSHIP_PAGE_SIZE, remaining));
+            // The client adds the language param itself
+            nextUrl.searchParams.delete('l');
 
-        const tokenMatch = indexJsPage.match(/(?=eyJh)(.*?)(?=")/);
-        if (!tokenMatch) {
-            throw new Error('Token not found in index.js page');
+            const page = await this.client.get(nextUrl.toString(), { params });
+            relationship.data.push(...(page.data.data || []));
+            relationship.next = page.data.next || null;
         }
-        this.token = tokenMatch[1];
 
-        this.client.defaults.headers.common['authorization'] = `Bearer ${this.token}`;
+        relationship.truncated = !!relationship.next;
+        return response;
     }
 
     async getSong(songId, extend = 'extendedAssetUrls', include = 'lyrics,albums') {
@@ -87,6 +153,81 @@ class AppleMusicApi {
         }
     }
 
+    // Time-synced lyrics as TTML. Needs the media-user-token of an account with an
+    // active subscription; resolves to null when the song has no lyrics.
+    async getLyrics(songId, { mediaUserToken, cookieHeader }) {
+        try {
+            const response = await this.client.get(
+                `${AMP_API_URL}/v1/catalog/${this.storefront}/songs/${songId}/lyrics`,
+                {
+                    headers: {
+                        'media-user-token': mediaUserToken,
+                        'cookie': cookieHeader,
+                    },
+                    // A 401/403 here means the account's cookies were refused,
+                    // not the developer token; don't refresh it or retry
+                    _tokenRetried: true,
+                }
+            );
+
+            const lyrics = response.data && response.data.data && response.data.data[0];
+            return lyrics && lyrics.attributes && lyrics.attributes.ttml ? lyrics.attributes.ttml : null;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // A catalog resource by type ("songs", "albums", ...) without relationships or
+    // extensions; resolves to null when this storefront does not have it
+    async getCatalogResource(type, id) {
+        try {
+            const response = await this.client.get(
+                `${AMP_API_URL}/v1/catalog/${this.storefront}/${type}/${id}`
+            );
+
+            return (response.data && response.data.data && response.data.data[0]) || null;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Catalog items whose `filterName` attribute matches, e.g. songs by isrc or
+    // albums by upc. One code can belong to several releases; resolves to [] when
+    // nothing matches.
+    async _getByFilter(type, filterName, value) {
+        try {
+            const response = await this.client.get(
+                `${AMP_API_URL}/v1/catalog/${this.storefront}/${type}`,
+                {
+                    params: {
+                        [`filter[${filterName}]`]: value,
+                    },
+                }
+            );
+
+            return (response.data && response.data.data) || [];
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async getSongsByIsrc(isrc) {
+        return this._getByFilter('songs', 'isrc', isrc);
+    }
+
+    async getAlbumsByUpc(upc) {
+        return this._getByFilter('albums', 'upc', upc);
+    }
+
     async getMusicVideo(musicVideoId, include = 'albums') {
         try {
             const response = await this.client.get(
@@ -145,7 +286,7 @@ class AppleMusicApi {
                 throw new Error('Error getting album');
             }
 
-            return response.data;
+            return await this._fetchAllPages(response.data, 'tracks', { extend });
         } catch (error) {
             if (error.response && error.response.status === 404) {
                 return null;
@@ -155,6 +296,7 @@ class AppleMusicApi {
     }
 
     async getPlaylist(playlistId, limitTracks = 300, extend = 'extendedAssetUrls') {
+        // limitTracks is only the first page; the rest is paged in afterwards
         try {
             const response = await this.client.get(
                 `${AMP_API_URL}/v1/catalog/${this.storefront}/playlists/${playlistId}`,
@@ -170,7 +312,7 @@ class AppleMusicApi {
                 throw new Error('Error getting playlist');
             }
 
-            return response.data;
+            return await this._fetchAllPages(response.data, 'tracks', { extend });
         } catch (error) {
             if (error.response && error.response.status === 404) {
                 return null;
@@ -199,6 +341,10 @@ class AppleMusicApi {
                 throw new Error('Error getting artist');
             }
 
+            for (const inc of include.split(',')) {
+                await this._fetchAllPages(response.data, inc);
+            }
+
             return response.data;
         } catch (error) {
             if (error.response && error.response.status === 404) {
@@ -208,6 +354,24 @@ class AppleMusicApi {
         }
     }
 
+    // Catalog search; resolves to the `results` object, keyed by type
+    // ("songs", "albums", ...), with only the types that had hits
+    async search(term, types, limit = 10, offset = 0) {
+        const response = await this.client.get(
+            `${AMP_API_URL}/v1/catalog/${this.storefront}/search`,
+            {
+                params: {
+                    term,
+                    types: types.join(','),
+                    limit,
+                    offset,
+                },
+            }
+        );
+
+        return (response.data && response.data.results) || {};
+    }
+
     async getLibraryAlbum(albumId, extend = 'extendedAssetUrls') {
         try {
             const response = await this.client.get(
@@ -223,7 +387,7 @@ class AppleMusicApi {
                 throw new Error('Error getting library album');
             }
 
-            return response.data;
+            return await this._fetchAllPages(response.data, 'tracks', { extend });
         } catch (error) {
             if (error.response && error.response.status === 404) {
                 return null;
@@ -252,6 +416,10 @@ class AppleMusicApi {
                 throw new Error('Error getting library playlist');
             }
 
+            for (const inc of include.split(',')) {
+                await this._fetchAllPages(response.data, inc, { extend });
+            }
+
             return response.data;
         } catch (error) {
             if (error.response && error.response.status === 404) {
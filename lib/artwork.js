@@ -0,0 +1,35 @@
+// Apple Music artwork comes as a URL template such as
+// https://is1-ssl.mzstatic.com/image/thumb/.../{w}x{h}bb.jpg; these fill it in.
+
+const ARTWORK_FORMATS = ['jpg', 'png', 'webp'];
+// Sizes offered as ready-made URLs in catalog responses
+const COMMON_ARTWORK_SIZES = [100, 300, 600, 1200, 3000];
+
+// Image URL for a width of `size` pixels. The height keeps the artwork's aspect
+// ratio, so 16:9 music video stills stay 16:9.
+function fillArtworkTemplate(artwork, size, format = 'jpg') {
+    const height = artwork.width && artwork.height
+        ? Math.round(size * artwork.height / artwork.width)
+        : size;
+
+    return artwork.url
+        .replace('{w}', size)
+        .replace('{h}', height)
+        .replace('{c}', 'bb')
+        .replace('{f}', format)
+        .replace(/\.(jpg|jpeg|png|webp)$/, `.${format}`);
+}
+
+// Ready-to-use JPEG URLs keyed by width, up to the size of the original
+function getArtworkUrls(artwork) {
+    const sizes = COMMON_ARTWORK_SIZES.filter(size => !artwork.width || size <= artwork.width);
+    return Object.fromEntries(
+        (sizes.length > 0 ? sizes : [artwork.width]).map(size => [size, fillArtworkTemplate(artwork, size)])
+    );
+}
+
+module.exports = {
+    ARTWORK_FORMATS,
+    fillArtworkTemplate,
+    getArtworkUrls
+};
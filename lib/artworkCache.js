@@ -0,0 +1,136 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const ARTWORK_FETCH_TIMEOUT_MS = 30000;
+const ARTWORK_MAX_BYTES = 20 * 1024 * 1024; // 20MB
+const ARTWORK_HOST_PATTERN = /(^|\.)mzstatic\.com$/;
+
+// Rendered artwork images stored as files in one directory of the downloads
+// volume. A file is fresh for ttlSeconds after it was fetched; stale files are
+// fetched again on their next request and removed by sweep(). The janitor counts
+// the cache toward the storage limit and calls evict() before touching downloads.
+class ArtworkCache {
+    constructor(dir, { ttlSeconds }) {
+        this.dir = dir;
+        this.ttlSeconds = ttlSeconds;
+        // Fetches in progress by file name, so concurrent misses share one request
+        this.pending = new Map();
+    }
+
+    getFilePath(fileName) {
+        return path.join(this.dir, fileName);
+    }
+
+    // Path of a fresh cached file, or null
+    async get(fileName) {
+        const filePath = this.getFilePath(fileName);
+        try {
+            const stats = await fs.stat(filePath);
+            return Date.now() - stats.mtimeMs <= this.ttlSeconds * 1000 ? filePath : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Download imageUrl into the cache; resolves to the file path
+    async fetch(fileName, imageUrl) {
+        if (!this.pending.has(fileName)) {
+            const fetching = this._download(fileName, imageUrl).finally(() => this.pending.delete(fileName));
+            this.pending.set(fileName, fetching);
+        }
+        return this.pending.get(fileName);
+    }
+
+    async _download(fileName, imageUrl) {
+        if (!ARTWORK_HOST_PATTERN.test(new URL(imageUrl).hostname)) {
+            throw new Error(`Refusing to fetch artwork from ${new URL(imageUrl).hostname}`);
+        }
+
+        const response = await axios.get(imageUrl, {
+            responseType: 'arraybuffer',
+            timeout: ARTWORK_FETCH_TIMEOUT_MS,
+            maxContentLength: ARTWORK_MAX_BYTES
+        });
+        if (!String(response.headers['content-type']).startsWith('image/')) {
+            throw new Error(`Artwork request returned ${response.headers['content-type']}`);
+        }
+
+        // Write next to the target and rename, so readers never see a partial image
+        const filePath = this.getFilePath(fileName);
+        await fs.mkdir(this.dir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, response.data);
+        await fs.rename(tempPath, filePath);
+        return filePath;
+    }
+
+    // Cached files with their stats, oldest first
+    async _listFiles() {
+        let fileNames;
+        try {
+            fileNames = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const files = [];
+        for (const fileName of fileNames) {
+            const stats = await fs.stat(this.getFilePath(fileName)).catch(() => null);
+            if (stats) {
+                files.push({ fileName, mtimeMs: stats.mtimeMs, sizeBytes: stats.size });
+            }
+        }
+        return files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    }
+
+    // Bytes the cache takes on disk
+    async getUsedBytes() {
+        const files = await this._listFiles();
+        return files.reduce((sum, file) => sum + file.sizeBytes, 0);
+    }
+
+    // Remove the oldest images until at least bytesToFree are freed; images still
+    // being written are left alone. Resolves to { removed, freedBytes }.
+    async evict(bytesToFree) {
+        const removed = [];
+        let freedBytes = 0;
+
+        for (const file of await this._listFiles()) {
+            if (freedBytes >= bytesToFree) {
+                break;
+            }
+            if (file.fileName.endsWith('.tmp')) {
+                continue;
+            }
+
+            await fs.rm(this.getFilePath(file.fileName), { force: true });
+            removed.push(file.fileName);
+            freedBytes += file.sizeBytes;
+        }
+
+        return { removed, freedBytes };
+    }
+
+    // Remove files older than the TTL; resolves to the removed file names
+    async sweep(now = Date.now(), dryRun = false) {
+        const removed = [];
+        for (const file of await this._listFiles()) {
+            if (now - file.mtimeMs <= this.ttlSeconds * 1000) {
+                continue;
+            }
+
+            if (!dryRun) {
+                await fs.rm(this.getFilePath(file.fileName), { force: true });
+            }
+            removed.push(file.fileName);
+        }
+
+        return removed;
+    }
+}
+
+module.exports = ArtworkCache;
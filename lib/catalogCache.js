@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Seconds catalog metadata stays cached per media type. Playlists change most
+// often; CATALOG_CACHE_TTL_<TYPE> (e.g. CATALOG_CACHE_TTL_MUSIC_VIDEO) overrides
+// a default and 0 turns caching off for that type.
+const DEFAULT_TTL_SECONDS = {
+    song: 24 * 60 * 60,
+    album: 24 * 60 * 60,
+    'music-video': 24 * 60 * 60,
+    'uploaded-video': 24 * 60 * 60,
+    artist: 6 * 60 * 60,
+    playlist: 15 * 60,
+};
+
+function getTtlSeconds(type) {
+    if (!(type in DEFAULT_TTL_SECONDS)) {
+        return 0;
+    }
+    const override = process.env[`CATALOG_CACHE_TTL_${type.toUpperCase().replace(/-/g, '_')}`];
+    return override !== undefined ? parseInt(override, 10) : DEFAULT_TTL_SECONDS[type];
+}
+
+// Formatted catalog responses in Redis, keyed by storefront, media type and id.
+// Each entry carries a strong ETag over its data and the time it was fetched.
+// Library items are per user and never cached.
+class CatalogCache {
+    constructor(redisClient) {
+        this.redisClient = redisClient;
+    }
+
+    getKey(storefront, type, id) {
+        return `catalog:${storefront}:${type}:${id}`;
+    }
+
+    isCacheable(type) {
+        return getTtlSeconds(type) > 0;
+    }
+
+    // Resolves to { data, etag, cachedAt } or null
+    async get(key) {
+        const entry = await this.redisClient.get(key);
+        return entry ? JSON.parse(entry) : null;
+    }
+
+    async set(key, type, data) {
+        const body = JSON.stringify(data);
+        const entry = {
+            data,
+            etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            cachedAt: new Date().toISOString(),
+        };
+        await this.redisClient.setex(key, getTtlSeconds(type), JSON.stringify(entry));
+        return entry;
+    }
+}
+
+module.exports = CatalogCache;
@@ -13,6 +13,8 @@ const MUSIC_VIDEO_MEDIA_TYPE = new Set(["music-video", "music-videos", "library-
 const ARTIST_MEDIA_TYPE = new Set(["artist", "artists", "library-artists"]);
 const UPLOADED_VIDEO_MEDIA_TYPE = new Set(["post", "uploaded-videos"]);
 const PLAYLIST_MEDIA_TYPE = new Set(["playlist", "playlists", "library-playlists"]);
+const SEARCH_TYPES = ["songs", "albums", "playlists", "artists", "music-videos"];
+const SEARCH_MAX_LIMIT = 25;
 
 const VALID_URL_PATTERN = new RegExp(
     "https://music\\.apple\\.com" +
@@ -202,5 +204,7 @@ module.exports = {
     ARTIST_MEDIA_TYPE,
     UPLOADED_VIDEO_MEDIA_TYPE,
     PLAYLIST_MEDIA_TYPE,
+    SEARCH_TYPES,
+    SEARCH_MAX_LIMIT,
     VALID_URL_PATTERN
 };
@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { APPLE_MUSIC_COOKIE_DOMAIN } = require('./constants');
+
+const MEDIA_USER_TOKEN = 'media-user-token';
+const EXPIRY_WARNING_DAYS = parseInt(process.env.COOKIE_EXPIRY_WARNING_DAYS || '7', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse a Netscape cookies.txt. Lines prefixed with #HttpOnly_ are cookies too;
+// other comment lines and malformed lines are skipped.
+function parseNetscapeCookies(text) {
+    const cookies = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+        } else if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            continue;
+        }
+
+        const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+        const expiresSeconds = parseInt(expires, 10);
+        cookies.push({
+            domain,
+            path: cookiePath,
+            secure: secure.toUpperCase() === 'TRUE',
+            // 0 marks a session cookie
+            expiresAt: expiresSeconds > 0 ? expiresSeconds * 1000 : null,
+            name,
+            value: value.join('\t')
+        });
+    }
+
+    return cookies;
+}
+
+function isAppleMusicDomain(domain) {
+    return `.${domain.replace(/^\./, '')}`.endsWith(APPLE_MUSIC_COOKIE_DOMAIN);
+}
+
+// Summarise parsed cookies without exposing any values
+function inspectCookies(cookies, now = Date.now()) {
+    const token = cookies.find(cookie =>
+        cookie.name === MEDIA_USER_TOKEN && cookie.value && isAppleMusicDomain(cookie.domain)
+    );
+
+    let status = 'ok';
+    if (!token) {
+        status = 'invalid';
+    } else if (token.expiresAt !== null && token.expiresAt <= now) {
+        status = 'expired';
+    } else if (token.expiresAt !== null && token.expiresAt - now <= EXPIRY_WARNING_DAYS * DAY_MS) {
+        status = 'expiring';
+    }
+
+    return {
+        status,
+        cookieCount: cookies.length,
+        mediaUserToken: {
+            present: !!token,
+            expiresAt: token && token.expiresAt ? new Date(token.expiresAt).toISOString() : null,
+            expiresInDays: token && token.expiresAt
+                ? Math.floor((token.expiresAt - now) / DAY_MS)
+                : null
+        }
+    };
+}
+
+// Owns the cookies file gamdl runs with. Uploads go to filePath; older locations
+// are still used, read-only, when nothing was uploaded. The file is parsed once
+// and parsed again only when its modification time or size changes, so replicas
+// sharing the cookies volume pick up a new upload on their next job.
+class CookieManager {
+    constructor(filePath, fallbackPaths = []) {
+        this.filePath = filePath;
+        this.fallbackPaths = fallbackPaths.filter(candidate => path.resolve(candidate) !== path.resolve(filePath));
+        this.loaded = null;
+    }
+
+    // Metadata of the active file, re-read if it changed; null when there is none
+    async refresh() {
+        for (const candidate of [this.filePath, ...this.fallbackPaths]) {
+            let stats;
+            try {
+                stats = await fs.stat(candidate);
+            } catch {
+                continue;
+            }
+            if (!stats.isFile()) {
+                continue;
+            }
+
+            const { loaded } = this;
+            if (loaded && loaded.path === candidate && loaded.mtimeMs === stats.mtimeMs && loaded.sizeBytes === stats.size) {
+                return loaded;
+            }
+
+            const cookies = parseNetscapeCookies(await fs.readFile(candidate, 'utf8'));
+            this.loaded = {
+                path: candidate,
+                mtimeMs: stats.mtimeMs,
+                sizeBytes: stats.size,
+                cookies
+            };
+            const { status, mediaUserToken } = inspectCookies(cookies);
+            console.log(`🍪 Loaded cookies from ${candidate} (${status}, media-user-token expires ${mediaUserToken.expiresAt || 'unknown'})`);
+            return this.loaded;
+        }
+
+        this.loaded = null;
+        return null;
+    }
+
+    // Path to hand to gamdl, or null when no cookies file exists
+    async getPath() {
+        const loaded = await this.refresh();
+        return loaded ? loaded.path : null;
+    }
+
+    // Media-user-token and Cookie header for calling Apple Music as this account,
+    // or null when there is no cookies file with a usable token
+    async getCredentials() {
+        const loaded = await this.refresh();
+        if (!loaded || !['ok', 'expiring'].includes(inspectCookies(loaded.cookies).status)) {
+            return null;
+        }
+
+        const now = Date.now();
+        const cookies = loaded.cookies.filter(cookie =>
+            `.${cookie.domain.replace(/^\./, '')}`.endsWith('.apple.com') &&
+            (cookie.expiresAt === null || cookie.expiresAt > now)
+        );
+        return {
+            mediaUserToken: cookies.find(cookie => cookie.name === MEDIA_USER_TOKEN && isAppleMusicDomain(cookie.domain)).value,
+            cookieHeader: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ')
+        };
+    }
+
+    async getStatus() {
+        const loaded = await this.refresh();
+        if (!loaded) {
+            return {
+                status: 'missing',
+                path: null,
+                uploadPath: this.filePath
+            };
+        }
+
+        return {
+            ...inspectCookies(loaded.cookies),
+            path: loaded.path,
+            uploadPath: this.filePath,
+            readOnly: loaded.path !== this.filePath,
+            sizeBytes: loaded.sizeBytes,
+            updatedAt: new Date(loaded.mtimeMs).toISOString()
+        };
+    }
+
+    // Validate and store a new cookies file. Resolves to { error } when the text has
+    // no usable media-user-token, otherwise to the new status.
+    async save(text) {
+        const summary = inspectCookies(parseNetscapeCookies(text));
+        if (summary.status === 'invalid') {
+            return { error: `No ${MEDIA_USER_TOKEN} cookie for ${APPLE_MUSIC_COOKIE_DOMAIN} found; export cookies in Netscape format while signed in to Apple Music` };
+        }
+        if (summary.status === 'expired') {
+            return { error: `The ${MEDIA_USER_TOKEN} cookie expired at ${summary.mediaUserToken.expiresAt}` };
+        }
+
+        // Write next to the target and rename, so gamdl never reads a half-written file
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, text, { mode: 0o600 });
+        await fs.rename(tempPath, this.filePath);
+
+        return { status: await this.getStatus() };
+    }
+
+    // Remove the uploaded file; resolves to false when there was none
+    async remove() {
+        try {
+            await fs.unlink(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+        return true;
+    }
+}
+
+module.exports = CookieManager;
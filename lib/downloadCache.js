@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'cache:url:';
+// Ids that differ only by case: user playlists and library items
+const CASE_SENSITIVE_ID_PATTERN = /^(pl\.u-|p\.|l\.)/;
+
+// Keys of finished downloads in Redis, derived from the media a URL points at.
+// Storefront and slug are left out so every storefront shares one entry per catalog
+// id; ids keep their case. Download options get their own entry per combination.
+class DownloadCache {
+    constructor(redisClient, musicInfoService) {
+        this.redisClient = redisClient;
+        this.musicInfoService = musicInfoService;
+    }
+
+    // Key for url and options, or null when the URL points at no known media
+    getKey(url, options = {}) {
+        const identity = this.musicInfoService.getMediaIdentity(url);
+        if (!identity) {
+            return null;
+        }
+
+        let key = `${KEY_PREFIX}${identity.type}:${identity.id}`;
+
+        const optionNames = Object.keys(options).filter(name => options[name] !== undefined).sort();
+        if (optionNames.length > 0) {
+            const canonicalOptions = JSON.stringify(optionNames.map(name => [name, options[name]]));
+            const digest = crypto.createHash('sha1').update(canonicalOptions).digest('hex').slice(0, 16);
+            key += `:opts-${digest}`;
+        }
+
+        return key;
+    }
+
+    // Move entries keyed by the old lowercased URL over to media-based keys.
+    // Case-sensitive ids cannot be recovered from a lowercased URL, so those
+    // entries are dropped and downloaded again on next request.
+    // Resolves to { migrated, dropped }.
+    async migrateLegacyKeys() {
+        const legacyKeys = await this.redisClient.keys(`${KEY_PREFIX}https://*`);
+        let migrated = 0;
+        let dropped = 0;
+
+        for (const legacyKey of legacyKeys) {
+            const url = legacyKey.slice(KEY_PREFIX.length);
+            const identity = this.musicInfoService.getMediaIdentity(url);
+
+            if (!identity || CASE_SENSITIVE_ID_PATTERN.test(identity.id)) {
+                await this.redisClient.del(legacyKey);
+                dropped++;
+                continue;
+            }
+
+            // RENAMENX keeps the TTL; an existing new-style entry wins
+            const renamed = await this.redisClient.renamenx(legacyKey, this.getKey(url));
+            if (renamed) {
+                migrated++;
+            } else {
+                await this.redisClient.del(legacyKey);
+                dropped++;
+            }
+        }
+
+        return { migrated, dropped };
+    }
+}
+
+module.exports = DownloadCache;
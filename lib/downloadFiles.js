@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Extensions gamdl writes for songs and music videos
+const MEDIA_EXTENSIONS = new Set(['.m4a', '.mp4']);
+// Side files written next to the media, depending on the download options
+const EXTRA_FILE_KINDS = {
+    '.jpg': 'cover',
+    '.png': 'cover',
+    '.lrc': 'lyrics',
+    '.srt': 'lyrics',
+    '.ttml': 'lyrics'
+};
+
+// gamdl default file templates: "{track:02d} {title}" and "{disc}-{track:02d} {title}"
+const TRACK_FILE_PATTERN = /^(?:(?<disc>\d+)-)?(?<track>\d+) (?<title>.+)$/;
+
+// Recursively list files with one of the given extensions below dir, relative to dir
+async function findFiles(dir, extensions) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const subFiles = await findFiles(fullPath, extensions);
+            files.push(...subFiles.map(f => path.join(entry.name, f)));
+        } else if (extensions.has(path.extname(entry.name).toLowerCase())) {
+            files.push(entry.name);
+        }
+    }
+
+    return files.sort();
+}
+
+async function findMediaFiles(dir) {
+    return findFiles(dir, MEDIA_EXTENSIONS);
+}
+
+function normalizeName(value) {
+    return (value || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Parse track/disc number and title out of a gamdl file name
+function parseFileName(fileName) {
+    const baseName = path.basename(fileName, path.extname(fileName));
+    const match = baseName.match(TRACK_FILE_PATTERN);
+
+    if (!match) {
+        return { trackNumber: null, discNumber: null, title: baseName };
+    }
+
+    return {
+        trackNumber: parseInt(match.groups.track, 10),
+        discNumber: match.groups.disc ? parseInt(match.groups.disc, 10) : 1,
+        title: match.groups.title,
+    };
+}
+
+// Pick the catalog track that a downloaded file belongs to
+function matchCatalogTrack(fileName, parsed, tracks) {
+    if (!tracks || tracks.length === 0) {
+        return null;
+    }
+
+    const albumDir = normalizeName(path.basename(path.dirname(fileName)));
+    const title = normalizeName(parsed.title);
+
+    let candidates = tracks;
+    if (parsed.trackNumber !== null) {
+        candidates = tracks.filter(track =>
+            track.trackNumber === parsed.trackNumber &&
+            (track.discNumber || 1) === parsed.discNumber
+        );
+    }
+
+    // Playlists mix albums, so several tracks can share a number
+    if (candidates.length > 1) {
+        const sameAlbum = candidates.filter(track => normalizeName(track.albumName) === albumDir);
+        if (sameAlbum.length > 0) {
+            candidates = sameAlbum;
+        }
+    }
+
+    if (candidates.length > 1 || candidates.length === 0) {
+        const pool = candidates.length > 0 ? candidates : tracks;
+        const byTitle = pool.filter(track => normalizeName(track.name) === title);
+        candidates = byTitle.length > 0 ? byTitle : candidates;
+    }
+
+    return candidates[0] || null;
+}
+
+// Flatten MusicInfoService data into the list of tracks a job can produce
+function getCatalogTracks(info) {
+    if (!info) {
+        return [];
+    }
+
+    if (info.type === 'song' || info.type === 'music-video') {
+        return [{
+            id: info.id,
+            name: info.name,
+            albumName: info.albumName,
+            trackNumber: info.trackNumber,
+            discNumber: info.discNumber,
+        }];
+    }
+
+    return info.tracks || [];
+}
+
+// Build the per-file entries stored in job results and the cache
+async function describeFiles(outputDir, jobId, baseUrl, info) {
+    const fileNames = await findMediaFiles(outputDir);
+    const tracks = getCatalogTracks(info);
+
+    const files = [];
+    for (const fileName of fileNames) {
+        const stats = await fs.stat(path.join(outputDir, fileName));
+        const parsed = parseFileName(fileName);
+        const track = matchCatalogTrack(fileName, parsed, tracks);
+
+        files.push({
+            fileName,
+            fileUrl: `${baseUrl}/downloads/${jobId}/${fileName}`,
+            fileSize: stats.size,
+            trackNumber: track ? track.trackNumber : parsed.trackNumber,
+            discNumber: track ? (track.discNumber || 1) : parsed.discNumber,
+            catalogId: track ? track.id : null,
+            name: track ? track.name : parsed.title,
+        });
+    }
+
+    return files;
+}
+
+// Cover art and lyrics files kept next to the media
+async function describeExtraFiles(outputDir, jobId, baseUrl) {
+    const fileNames = await findFiles(outputDir, new Set(Object.keys(EXTRA_FILE_KINDS)));
+
+    const files = [];
+    for (const fileName of fileNames) {
+        const stats = await fs.stat(path.join(outputDir, fileName));
+        files.push({
+            fileName,
+            fileUrl: `${baseUrl}/downloads/${jobId}/${fileName}`,
+            fileSize: stats.size,
+            kind: EXTRA_FILE_KINDS[path.extname(fileName).toLowerCase()]
+        });
+    }
+
+    return files;
+}
+
+// Every media, cover and lyrics file of a job with its size and kind
+async function listJobFiles(outputDir) {
+    const fileNames = await findFiles(outputDir, new Set([...MEDIA_EXTENSIONS, ...Object.keys(EXTRA_FILE_KINDS)]));
+
+    const files = [];
+    for (const fileName of fileNames) {
+        const stats = await fs.stat(path.join(outputDir, fileName));
+        const extension = path.extname(fileName).toLowerCase();
+        files.push({
+            fileName,
+            fileSize: stats.size,
+            kind: MEDIA_EXTENSIONS.has(extension) ? 'media' : EXTRA_FILE_KINDS[extension]
+        });
+    }
+
+    return files;
+}
+
+// Cache entries written before multi-file results only carry fileName/fileUrl
+function getResultFiles(result) {
+    if (Array.isArray(result.files)) {
+        return result.files;
+    }
+    if (result.fileName) {
+        return [{ fileName: result.fileName, fileUrl: result.fileUrl }];
+    }
+    return [];
+}
+
+module.exports = {
+    findMediaFiles,
+    parseFileName,
+    matchCatalogTrack,
+    describeFiles,
+    describeExtraFiles,
+    listJobFiles,
+    getResultFiles,
+};
@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const EXPIRY_KEY = 'downloads:expiry';
+const CACHE_KEYS_KEY = 'downloads:cache-keys';
+const ORPHAN_LOCK_KEY = 'downloads:janitor-lock';
+const LAST_ACCESS_KEY = 'downloads:last-access';
+const SIZES_KEY = 'downloads:sizes';
+const EVICTION_STATS_KEY = 'downloads:evictions';
+
+// Deletes expired downloads/<jobId> directories together with their cache entries,
+// and evicts the least recently used ones when the storage limit is reached.
+// Deadlines, sizes and access times live in Redis, so they survive restarts and are
+// shared by every replica using the same downloads volume. An artwork cache kept
+// on the same volume is swept along, by its own TTL, and counts toward the limit.
+class DownloadJanitor {
+    constructor(redisClient, downloadsDir, { ttlSeconds, intervalMs, storageLimitBytes = 0, artworkCache = null }) {
+        this.redisClient = redisClient;
+        this.downloadsDir = downloadsDir;
+        this.ttlSeconds = ttlSeconds;
+        this.intervalMs = intervalMs;
+        this.storageLimitBytes = storageLimitBytes;
+        this.artworkCache = artworkCache;
+        this.timer = null;
+    }
+
+    // Record when a finished job's files expire, which cache entry points at them
+    // and how much space they take
+    async track(jobId, cacheKey, expiresAtMs, sizeBytes) {
+        await this.redisClient
+            .multi()
+            .zadd(EXPIRY_KEY, expiresAtMs, jobId)
+            .hset(CACHE_KEYS_KEY, jobId, cacheKey)
+            .zadd(LAST_ACCESS_KEY, Date.now(), jobId)
+            .hset(SIZES_KEY, jobId, sizeBytes)
+            .exec();
+    }
+
+    // Mark a tracked job as just used; unknown job ids are ignored
+    async touch(jobId) {
+        await this.redisClient.zadd(LAST_ACCESS_KEY, 'XX', Date.now(), jobId);
+    }
+
+    async getDownloadBytes() {
+        const sizes = await this.redisClient.hvals(SIZES_KEY);
+        return sizes.reduce((sum, size) => sum + parseInt(size, 10), 0);
+    }
+
+    async getUsage() {
+        const [downloadBytes, artworkBytes, evictionStats] = await Promise.all([
+            this.getDownloadBytes(),
+            this.artworkCache ? this.artworkCache.getUsedBytes() : 0,
+            this.redisClient.hgetall(EVICTION_STATS_KEY)
+        ]);
+        const usedBytes = downloadBytes + artworkBytes;
+
+        return {
+            limitBytes: this.storageLimitBytes,
+            usedBytes,
+            artworkBytes,
+            usedPercent: this.storageLimitBytes
+                ? Math.round((usedBytes / this.storageLimitBytes) * 10000) / 100
+                : null,
+            evictions: parseInt(evictionStats.count || '0', 10),
+            evictedBytes: parseInt(evictionStats.bytes || '0', 10)
+        };
+    }
+
+    // Evict artwork images first, being cheap to fetch again, then least recently
+    // used jobs until usage fits the limit.
+    // protectJobId (the download that just finished) is never evicted.
+    async enforceStorageLimit(protectJobId = null) {
+        if (!this.storageLimitBytes) {
+            return [];
+        }
+
+        let { usedBytes, artworkBytes } = await this.getUsage();
+        const evicted = [];
+
+        if (usedBytes > this.storageLimitBytes && artworkBytes > 0) {
+            const { removed, freedBytes } = await this.artworkCache.evict(usedBytes - this.storageLimitBytes);
+            if (removed.length > 0) {
+                console.log(`💾 Evicted ${removed.length} artwork images to stay under the storage limit`);
+            }
+            artworkBytes -= freedBytes;
+            usedBytes -= freedBytes;
+        }
+
+        while (usedBytes > this.storageLimitBytes) {
+            const candidates = await this.redisClient.zrange(LAST_ACCESS_KEY, 0, 1);
+            const jobId = candidates.find(candidate => candidate !== protectJobId);
+            if (!jobId) {
+                break;
+            }
+
+            const sizeBytes = parseInt(await this.redisClient.hget(SIZES_KEY, jobId) || '0', 10);
+
+            // Only the replica that removes the entry evicts the job
+            const claimed = await this.redisClient.zrem(LAST_ACCESS_KEY, jobId);
+            if (claimed) {
+                await this.removeJob(jobId);
+                await this.redisClient
+                    .multi()
+                    .hincrby(EVICTION_STATS_KEY, 'count', 1)
+                    .hincrby(EVICTION_STATS_KEY, 'bytes', sizeBytes)
+                    .exec();
+                evicted.push(jobId);
+            }
+
+            usedBytes = await this.getDownloadBytes() + artworkBytes;
+        }
+
+        if (evicted.length > 0) {
+            console.log(`💾 Evicted ${evicted.length} least recently used downloads to stay under the storage limit`);
+        }
+
+        return evicted;
+    }
+
+    // Cache entry that points at a tracked job's files, or null
+    async getCacheKey(jobId) {
+        return this.redisClient.hget(CACHE_KEYS_KEY, jobId);
+    }
+
+    async getExpiry(jobId) {
+        const score = await this.redisClient.zscore(EXPIRY_KEY, jobId);
+        return score === null ? null : parseInt(score, 10);
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sweep().catch((error) => {
+                console.error('Error during janitor sweep:', error.message);
+            });
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async sweep({ dryRun = false } = {}) {
+        const now = Date.now();
+        const expired = await this.sweepExpired(now, dryRun);
+        const orphaned = await this.sweepOrphans(now, dryRun);
+        const artwork = this.artworkCache ? await this.artworkCache.sweep(now, dryRun) : [];
+
+        // Artwork is written between downloads, so the limit is checked here too
+        if (!dryRun) {
+            await this.enforceStorageLimit();
+        }
+
+        if (!dryRun && (expired.length > 0 || orphaned.length > 0)) {
+            console.log(`🧹 Janitor removed ${expired.length} expired and ${orphaned.length} orphaned download directories`);
+        }
+        if (!dryRun && artwork.length > 0) {
+            console.log(`🧹 Janitor removed ${artwork.length} expired artwork images`);
+        }
+
+        return {
+            dryRun,
+            sweptAt: new Date(now).toISOString(),
+            expired,
+            orphaned,
+            artwork
+        };
+    }
+
+    async sweepExpired(now, dryRun) {
+        const jobIds = await this.redisClient.zrangebyscore(EXPIRY_KEY, 0, now);
+        const removed = [];
+
+        for (const jobId of jobIds) {
+            if (dryRun) {
+                removed.push(jobId);
+                continue;
+            }
+
+            // ZREM succeeds on exactly one replica, which then owns the deletion
+            const claimed = await this.redisClient.zrem(EXPIRY_KEY, jobId);
+            if (!claimed) {
+                continue;
+            }
+
+            await this.removeJob(jobId);
+            removed.push(jobId);
+        }
+
+        return removed;
+    }
+
+    // Drop the cache entry first so it never points at files that are gone
+    async removeJob(jobId) {
+        const cacheKey = await this.redisClient.hget(CACHE_KEYS_KEY, jobId);
+
+        if (cacheKey) {
+            const cached = await this.redisClient.get(cacheKey);
+            // A newer download may have replaced the entry; leave that one alone
+            if (cached && JSON.parse(cached).jobId === jobId) {
+                await this.redisClient.del(cacheKey);
+            }
+        }
+
+        await fs.rm(path.join(this.downloadsDir, jobId), { recursive: true, force: true });
+        await this.redisClient
+            .multi()
+            .hdel(CACHE_KEYS_KEY, jobId)
+            .zrem(EXPIRY_KEY, jobId)
+            .zrem(LAST_ACCESS_KEY, jobId)
+            .hdel(SIZES_KEY, jobId)
+            .exec();
+    }
+
+    // Directories without a deadline (failed jobs, files from older versions)
+    // are removed once they are older than the cache TTL
+    async sweepOrphans(now, dryRun) {
+        if (!dryRun) {
+            const locked = await this.redisClient.set(ORPHAN_LOCK_KEY, process.pid, 'PX', this.intervalMs, 'NX');
+            if (!locked) {
+                return [];
+            }
+        }
+
+        let entries;
+        try {
+            entries = await fs.readdir(this.downloadsDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const artworkDir = this.artworkCache ? path.resolve(this.artworkCache.dir) : null;
+        const removed = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) {
+                continue;
+            }
+
+            const dirPath = path.join(this.downloadsDir, entry.name);
+            if (path.resolve(dirPath) === artworkDir) {
+                continue;
+            }
+
+            if (await this.getExpiry(entry.name) !== null) {
+                continue;
+            }
+
+            const stats = await fs.stat(dirPath);
+            if (now - stats.mtimeMs <= this.ttlSeconds * 1000) {
+                continue;
+            }
+
+            if (!dryRun) {
+                await fs.rm(dirPath, { recursive: true, force: true });
+            }
+            removed.push(entry.name);
+        }
+
+        return removed;
+    }
+}
+
+module.exports = DownloadJanitor;
@@ -0,0 +1,188 @@
+// Download options accepted in the `options` object of a download request, and
+// how each maps to gamdl flags. Values equal to gamdl's own defaults are dropped,
+// so `{ "codec": "aac-legacy" }` and no options share one cache entry.
+
+const SONG_CODECS = [
+    'aac-legacy',
+    'aac-he-legacy',
+    'aac',
+    'aac-he',
+    'aac-binaural',
+    'aac-downmix',
+    'aac-he-binaural',
+    'aac-he-downmix',
+    'atmos',
+    'ac3',
+    'alac'
+];
+const COVER_FORMATS = ['jpg', 'png', 'raw'];
+const SYNCED_LYRICS = ['lrc', 'srt', 'ttml', 'none'];
+const MUSIC_VIDEO_RESOLUTIONS = ['240p', '360p', '480p', '540p', '720p', '1080p', '1440p', '2160p'];
+const COVER_SIZE_MIN = 100;
+const COVER_SIZE_MAX = 10000;
+
+// Template fields and the gamdl flag each sets
+const TEMPLATE_FLAGS = {
+    folderAlbum: '--template-folder-album',
+    folderCompilation: '--template-folder-compilation',
+    fileSingleDisc: '--template-file-single-disc',
+    fileMultiDisc: '--template-file-multi-disc',
+    folderNoAlbum: '--template-folder-no-album',
+    fileNoAlbum: '--template-file-no-album'
+};
+// Tags gamdl can put into file and folder names
+const TEMPLATE_TAGS = new Set([
+    'album',
+    'album_artist',
+    'album_id',
+    'artist',
+    'artist_id',
+    'composer',
+    'date',
+    'disc',
+    'disc_total',
+    'genre',
+    'media_type',
+    'playlist_artist',
+    'playlist_id',
+    'playlist_title',
+    'playlist_track',
+    'title',
+    'title_id',
+    'track',
+    'track_total'
+]);
+const TEMPLATE_PLACEHOLDER = /\{([^{}]*)\}/g;
+const TEMPLATE_MAX_LENGTH = 200;
+
+const DEFAULTS = {
+    codec: 'aac-legacy',
+    coverSize: 1200,
+    coverFormat: 'jpg',
+    saveCover: false,
+    syncedLyrics: 'lrc'
+};
+
+// Returns an error message for a template that could escape the job's directory
+// or use anything but known tags, or null when it is fine
+function validateTemplate(name, template) {
+    if (typeof template !== 'string' || template.length === 0 || template.length > TEMPLATE_MAX_LENGTH) {
+        return `options.template.${name} must be a string of 1-${TEMPLATE_MAX_LENGTH} characters`;
+    }
+    if (/[\x00-\x1f\\]/.test(template) || template.startsWith('/') ||
+        template.split('/').some(segment => segment === '..' || segment === '.' || segment === '')) {
+        return `options.template.${name} must be a relative path without empty, "." or ".." segments`;
+    }
+    for (const [, placeholder] of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+        const [tag, format] = placeholder.split(':');
+        if (!TEMPLATE_TAGS.has(tag) || (format !== undefined && !/^0?\d{0,2}d$/.test(format))) {
+            return `options.template.${name} uses an unknown placeholder {${placeholder}}`;
+        }
+    }
+    if (/[{}]/.test(template.replace(TEMPLATE_PLACEHOLDER, ''))) {
+        return `options.template.${name} has an unbalanced brace`;
+    }
+    return null;
+}
+
+// Check raw request options against the allow-lists. Resolves to { error } or to
+// { options } with only the non-default values, in a stable key order.
+function normalizeDownloadOptions(raw) {
+    if (raw === undefined || raw === null) {
+        return { options: {} };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'options must be an object' };
+    }
+
+    const known = ['codec', 'coverSize', 'coverFormat', 'saveCover', 'syncedLyrics', 'musicVideoResolution', 'template'];
+    const unknown = Object.keys(raw).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown download options: ${unknown.join(', ')}` };
+    }
+
+    const choices = {
+        codec: SONG_CODECS,
+        coverFormat: COVER_FORMATS,
+        syncedLyrics: SYNCED_LYRICS,
+        musicVideoResolution: MUSIC_VIDEO_RESOLUTIONS
+    };
+    for (const [name, allowed] of Object.entries(choices)) {
+        if (raw[name] !== undefined && !allowed.includes(raw[name])) {
+            return { error: `options.${name} must be one of: ${allowed.join(', ')}` };
+        }
+    }
+
+    if (raw.coverSize !== undefined &&
+        (!Number.isInteger(raw.coverSize) || raw.coverSize < COVER_SIZE_MIN || raw.coverSize > COVER_SIZE_MAX)) {
+        return { error: `options.coverSize must be an integer from ${COVER_SIZE_MIN} to ${COVER_SIZE_MAX}` };
+    }
+    if (raw.saveCover !== undefined && typeof raw.saveCover !== 'boolean') {
+        return { error: 'options.saveCover must be a boolean' };
+    }
+
+    let template;
+    if (raw.template !== undefined) {
+        if (!raw.template || typeof raw.template !== 'object' || Array.isArray(raw.template)) {
+            return { error: 'options.template must be an object' };
+        }
+        const unknownTemplates = Object.keys(raw.template).filter(name => !TEMPLATE_FLAGS[name]);
+        if (unknownTemplates.length > 0) {
+            return { error: `Unknown templates: ${unknownTemplates.join(', ')}; use ${Object.keys(TEMPLATE_FLAGS).join(', ')}` };
+        }
+        for (const name of Object.keys(raw.template).sort()) {
+            const error = validateTemplate(name, raw.template[name]);
+            if (error) {
+                return { error };
+            }
+            template = { ...template, [name]: raw.template[name] };
+        }
+    }
+
+    const options = {};
+    for (const name of known.filter(option => option !== 'template').sort()) {
+        if (raw[name] !== undefined && raw[name] !== DEFAULTS[name]) {
+            options[name] = raw[name];
+        }
+    }
+    if (template) {
+        options.template = template;
+    }
+    return { options };
+}
+
+// gamdl flags for normalized options
+function buildOptionArgs(options = {}) {
+    const args = [];
+
+    if (options.codec) {
+        args.push('--codec-song', options.codec);
+    }
+    if (options.coverSize) {
+        args.push('--cover-size', String(options.coverSize));
+    }
+    if (options.coverFormat) {
+        args.push('--cover-format', options.coverFormat);
+    }
+    if (options.saveCover) {
+        args.push('--save-cover');
+    }
+    if (options.syncedLyrics === 'none') {
+        args.push('--no-synced-lyrics');
+    } else if (options.syncedLyrics) {
+        args.push('--synced-lyrics-format', options.syncedLyrics);
+    }
+    if (options.musicVideoResolution) {
+        args.push('--music-video-resolution', options.musicVideoResolution);
+    }
+    for (const [name, template] of Object.entries(options.template || {})) {
+        args.push(TEMPLATE_FLAGS[name], template);
+    }
+
+    return args;
+}
+
+module.exports = {
+    normalizeDownloadOptions,
+    buildOptionArgs
+};
@@ -0,0 +1,97 @@
+const { isTransientJobError } = require('./retry');
+
+const LOG_TAIL_LINES = 30;
+const LOG_TAIL_MAX_CHARS = 4000;
+
+// Every failed download reports exactly one of these codes
+const ERROR_CODES = {
+    COOKIES_EXPIRED: {
+        httpStatus: 503,
+        message: 'The Apple Music cookies on the server are missing, expired or lack an active subscription'
+    },
+    NOT_AVAILABLE_IN_STOREFRONT: {
+        httpStatus: 451,
+        message: 'This content is not available in the storefront of the Apple Music account'
+    },
+    NOT_STREAMABLE: {
+        httpStatus: 422,
+        message: 'Apple Music does not offer a downloadable stream for this content'
+    },
+    TIMEOUT: {
+        httpStatus: 504,
+        message: 'gamdl did not finish in time'
+    },
+    NO_OUTPUT: {
+        httpStatus: 502,
+        message: 'gamdl finished without producing any media files'
+    },
+    UNKNOWN: {
+        httpStatus: 500,
+        message: 'The download failed for an unknown reason'
+    }
+};
+
+// Checked in order against gamdl's log; the first match wins
+const OUTPUT_PATTERNS = [
+    {
+        code: 'COOKIES_EXPIRED',
+        pattern: /media[-_ ]user[-_ ]token|cookies?(?: file)? (?:not found|does not exist|(?:is |are )?(?:expired|invalid))|invalid cookies|not (?:signed|logged) in|active subscription|401 (?:Client Error|Unauthorized)/i
+    },
+    {
+        code: 'NOT_AVAILABLE_IN_STOREFRONT',
+        pattern: /not available in (?:the |this |your )?(?:selected |current )?(?:storefront|country|region)|unavailable in (?:the |this |your )?(?:storefront|country|region)/i
+    },
+    {
+        code: 'NOT_STREAMABLE',
+        pattern: /not streamable|not downloadable|no (?:streamable|downloadable|playable) (?:assets|streams?|formats?)|failed to get stream/i
+    }
+];
+
+// The last lines of gamdl's log: stderr, where it logs, then stdout, then the
+// error itself when gamdl never ran
+function getLogTail(error) {
+    const log = [error.stderr, error.stdout, error.message].find(text => text && text.trim()) || '';
+    const lines = log.split(/\r\n|\r|\n/).filter(line => line.trim());
+    return lines.slice(-LOG_TAIL_LINES).join('\n').slice(-LOG_TAIL_MAX_CHARS);
+}
+
+// Map a failed run (a runGamdl error, or the worker's error when no files came out)
+// to { code, message, httpStatus, transient, logTail }
+function classifyGamdlError(error) {
+    const output = `${error.stderr || ''}\n${error.stdout || ''}`;
+    let code = 'UNKNOWN';
+
+    if (ERROR_CODES[error.code]) {
+        // Already classified where it was thrown
+        code = error.code;
+    } else if (error.timedOut) {
+        code = 'TIMEOUT';
+    } else {
+        const match = OUTPUT_PATTERNS.find(({ pattern }) => pattern.test(output));
+        if (match) {
+            code = match.code;
+        } else if (error.noOutput) {
+            code = 'NO_OUTPUT';
+        }
+    }
+
+    return {
+        code,
+        message: ERROR_CODES[code].message,
+        httpStatus: ERROR_CODES[code].httpStatus,
+        // A timeout or an unrecognised network failure may pass on the next attempt
+        transient: code === 'TIMEOUT' || (code === 'UNKNOWN' && isTransientJobError(error)),
+        logTail: getLogTail(error)
+    };
+}
+
+function getHttpStatus(code) {
+    return (ERROR_CODES[code] || ERROR_CODES.UNKNOWN).httpStatus;
+}
+
+module.exports = {
+    ERROR_CODES,
+    classifyGamdlError,
+    getHttpStatus,
+    getLogTail
+};
@@ -0,0 +1,81 @@
+// gamdl logs "(Track 3/12 from URL 1/1) Downloading "Name"" at INFO level
+const TRACK_PATTERN = /Track (?<index>\d+)\/(?<total>\d+)/;
+const TRACK_NAME_PATTERN = /Downloading "(?<name>.+)"/;
+const PERCENT_PATTERN = /(?<percent>\d{1,3}(?:\.\d+)?)%/;
+
+// Stage markers from gamdl's DEBUG output, checked in order
+const STAGE_PATTERNS = [
+    { stage: 'tagging', pattern: /applying tags|tagging/i },
+    { stage: 'decrypting', pattern: /decrypt|remux/i },
+    { stage: 'downloading', pattern: /\bdownloading\b|\[download\]/i },
+];
+
+// Turns gamdl output lines into progress snapshots for one job
+class GamdlProgressParser {
+    constructor() {
+        this.state = {
+            trackIndex: null,
+            trackTotal: null,
+            trackName: null,
+            stage: null,
+            percent: null,
+        };
+    }
+
+    // Returns a new snapshot when the line changed anything, otherwise null
+    parse(line) {
+        const next = { ...this.state };
+
+        const track = line.match(TRACK_PATTERN);
+        if (track) {
+            const index = parseInt(track.groups.index, 10);
+            if (index !== next.trackIndex) {
+                next.percent = null;
+            }
+            next.trackIndex = index;
+            next.trackTotal = parseInt(track.groups.total, 10);
+        }
+
+        const name = line.match(TRACK_NAME_PATTERN);
+        if (name) {
+            next.trackName = name.groups.name;
+        }
+
+        const stage = STAGE_PATTERNS.find(entry => entry.pattern.test(line));
+        if (stage) {
+            next.stage = stage.stage;
+        }
+
+        const percent = line.match(PERCENT_PATTERN);
+        if (percent) {
+            next.percent = Math.min(100, Math.floor(parseFloat(percent.groups.percent)));
+        }
+
+        const changed = Object.keys(next).some(key => next[key] !== this.state[key]);
+        if (!changed) {
+            return null;
+        }
+
+        this.state = next;
+        return this.snapshot();
+    }
+
+    snapshot() {
+        const { trackIndex, trackTotal, percent } = this.state;
+
+        // Overall job percent, counting finished tracks plus the current one
+        let overallPercent = null;
+        if (trackIndex && trackTotal) {
+            const trackFraction = percent !== null ? percent / 100 : 0;
+            overallPercent = Math.floor(((trackIndex - 1 + trackFraction) / trackTotal) * 100);
+        }
+
+        return {
+            ...this.state,
+            overallPercent,
+            updatedAt: new Date().toISOString(),
+        };
+    }
+}
+
+module.exports = GamdlProgressParser;
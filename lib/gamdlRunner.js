@@ -0,0 +1,129 @@
+const { spawn } = require('child_process');
+const { buildOptionArgs } = require('./downloadOptions');
+
+const GAMDL_BIN = process.env.GAMDL_PATH || 'gamdl';
+const GAMDL_TIMEOUT_MS = 600000; // 10 minutes timeout
+const GAMDL_MAX_BUFFER = 10 * 1024 * 1024; // 10MB of output kept per stream
+const KILL_GRACE_MS = 5000;
+
+// options are download options already checked by normalizeDownloadOptions
+function buildGamdlArgs({ url, outputDir, cookiesPath, options }) {
+    // DEBUG level makes gamdl log each stage (decrypting, tagging) for progress
+    return [
+        url,
+        '-o', outputDir,
+        '--cookies-path', cookiesPath,
+        '--log-level', 'DEBUG',
+        ...buildOptionArgs(options)
+    ];
+}
+
+// Stop one gamdl run and the ffmpeg/mp4decrypt helpers it started.
+// gamdl runs in its own process group, so nothing else on the host is touched.
+function stopGamdl(child, graceMs = KILL_GRACE_MS) {
+    const signalGroup = (signal) => {
+        try {
+            process.kill(-child.pid, signal);
+        } catch {
+            // Group already gone, fall back to the direct child
+            child.kill(signal);
+        }
+    };
+
+    if (child.exitCode !== null || child.signalCode !== null) {
+        return;
+    }
+
+    signalGroup('SIGTERM');
+    const timer = setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) {
+            signalGroup('SIGKILL');
+        }
+    }, graceMs);
+    child.once('close', () => clearTimeout(timer));
+}
+
+// Run gamdl with an argument array and no shell, so the URL is never interpreted.
+// Output is read incrementally and handed to options.onLine one line at a time;
+// options.onSpawn receives the child process so callers can stop it.
+function runGamdl(params, options = {}) {
+    const bin = options.bin || GAMDL_BIN;
+    const args = buildGamdlArgs(params);
+    const timeout = options.timeout || GAMDL_TIMEOUT_MS;
+
+    console.log(`Executing: ${bin} ${args.map(arg => JSON.stringify(arg)).join(' ')}`);
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(bin, args, { shell: false, detached: true });
+        const output = { stdout: '', stderr: '' };
+        const partial = { stdout: '', stderr: '' };
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            stopGamdl(child);
+        }, timeout);
+
+        if (options.onSpawn) {
+            options.onSpawn(child);
+        }
+
+        const emitLine = (line, stream) => {
+            if (!options.onLine || !line.trim()) {
+                return;
+            }
+            try {
+                options.onLine(line, stream);
+            } catch (error) {
+                console.error('Error handling gamdl output line:', error.message);
+            }
+        };
+
+        const handleData = (stream) => (chunk) => {
+            const text = chunk.toString();
+            output[stream] = (output[stream] + text).slice(-GAMDL_MAX_BUFFER);
+
+            // Progress bars redraw with \r, so treat it as a line break too
+            const lines = (partial[stream] + text).split(/\r\n|\r|\n/);
+            partial[stream] = lines.pop();
+            lines.forEach(line => emitLine(line, stream));
+        };
+
+        child.stdout.on('data', handleData('stdout'));
+        child.stderr.on('data', handleData('stderr'));
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            emitLine(partial.stdout, 'stdout');
+            emitLine(partial.stderr, 'stderr');
+
+            if (code === 0) {
+                resolve(output);
+                return;
+            }
+
+            const reason = timedOut
+                ? `timed out after ${timeout}ms`
+                : signal ? `was killed with ${signal}` : `exited with code ${code}`;
+            const error = new Error(`gamdl ${reason}\n${output.stderr}`);
+            error.code = code;
+            error.signal = signal;
+            error.killed = timedOut || !!signal;
+            error.timedOut = timedOut;
+            error.stdout = output.stdout;
+            error.stderr = output.stderr;
+            reject(error);
+        });
+    });
+}
+
+module.exports = {
+    buildGamdlArgs,
+    runGamdl,
+    stopGamdl,
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+const archiver = require('archiver');
+
+const ARCHIVE_FILE_KINDS = ['media', 'cover', 'lyrics'];
+const ARCHIVE_NAME_MAX_LENGTH = 150;
+
+// Narrow a job's files down to the requested kinds (comma-separated) and/or file
+// names. Resolves to { files } or { error } naming what was not recognised.
+function selectArchiveFiles(available, { include, files }) {
+    let selected = available;
+
+    if (include !== undefined) {
+        const kinds = String(include).split(',').map(kind => kind.trim()).filter(Boolean);
+        const unknownKinds = kinds.filter(kind => !ARCHIVE_FILE_KINDS.includes(kind));
+        if (kinds.length === 0 || unknownKinds.length > 0) {
+            return { error: `include must be a comma-separated list of: ${ARCHIVE_FILE_KINDS.join(', ')}` };
+        }
+        selected = selected.filter(file => kinds.includes(file.kind));
+    }
+
+    if (files !== undefined) {
+        const names = [].concat(files).map(String);
+        const unknownNames = names.filter(name => !available.some(file => file.fileName === name));
+        if (unknownNames.length > 0) {
+            return { error: `Unknown files: ${unknownNames.join(', ')}` };
+        }
+        selected = selected.filter(file => names.includes(file.fileName));
+    }
+
+    return { files: selected };
+}
+
+// "Artist - Album.zip" from MusicInfoService data; playlists and artists use
+// their name alone. Falls back to the job id when there is no usable name.
+function getArchiveName(info, jobId) {
+    const parts = info
+        ? [info.type === 'playlist' || info.type === 'artist' ? null : info.artistName, info.name]
+        : [];
+    const name = parts
+        .filter(Boolean)
+        .join(' - ')
+        .replace(/[\x00-\x1f\x7f/\\:*?"<>|]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, ARCHIVE_NAME_MAX_LENGTH)
+        .trim();
+
+    return `${name.replace(/^\.+/, '') || jobId}.zip`;
+}
+
+// Stream a ZIP of the files to output as it is built, without a temporary archive.
+// Resolves once output is done, or closed early by the client.
+function streamArchive(outputDir, files, output) {
+    return new Promise((resolve, reject) => {
+        // Media and covers are compressed already; storing them spares the CPU
+        const archive = archiver('zip', { store: true });
+        let finished = false;
+
+        archive.on('error', reject);
+        archive.on('warning', reject);
+        archive.on('end', () => {
+            finished = true;
+        });
+        output.on('close', () => {
+            if (!finished) {
+                archive.abort();
+            }
+            resolve();
+        });
+
+        archive.pipe(output);
+        for (const file of files) {
+            archive.file(path.join(outputDir, file.fileName), { name: file.fileName });
+        }
+        archive.finalize().catch(reject);
+    });
+}
+
+module.exports = {
+    ARCHIVE_FILE_KINDS,
+    selectArchiveFiles,
+    getArchiveName,
+    streamArchive
+};
@@ -0,0 +1,103 @@
+// Conversion of Apple Music TTML lyrics into LRC and plain text
+
+const LYRICS_FORMATS = ['ttml', 'lrc', 'text'];
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// TTML clock values come as "83.456s", "1:23.456" or "00:01:23.456"; resolves to
+// milliseconds, or null when the value is missing or malformed
+function parseTtmlTime(value) {
+    if (!value) {
+        return null;
+    }
+
+    let seconds;
+    if (value.endsWith('s')) {
+        seconds = Number(value.slice(0, -1));
+    } else {
+        seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+}
+
+// Lines of a TTML document. Word- and syllable-timed lyrics keep only the line
+// timing. `synced` is false when any line has no start time.
+function parseTtml(ttml) {
+    const bodyStart = ttml.search(/<body\b/);
+    const body = bodyStart === -1 ? ttml : ttml.slice(bodyStart);
+    const lines = [];
+
+    for (const [, attributes, content] of body.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+        const text = decodeEntities(content.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]*>/g, ''))
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!text) {
+            continue;
+        }
+
+        const begin = attributes.match(/\bbegin="([^"]*)"/);
+        const end = attributes.match(/\bend="([^"]*)"/);
+        lines.push({
+            startMs: parseTtmlTime(begin && begin[1]),
+            endMs: parseTtmlTime(end && end[1]),
+            text
+        });
+    }
+
+    return {
+        synced: lines.length > 0 && lines.every(line => line.startMs !== null),
+        lines
+    };
+}
+
+function formatLrcTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const centiseconds = Math.floor((ms % 1000) / 10);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centiseconds).padStart(2, '0')}`;
+}
+
+// Resolves to { lyrics, synced }, or { error } when LRC is asked for lyrics
+// that carry no timing
+function formatLyrics(ttml, format) {
+    const { synced, lines } = parseTtml(ttml);
+
+    switch (format) {
+        case 'ttml':
+            return { lyrics: ttml, synced };
+        case 'lrc':
+            if (!synced) {
+                return { error: 'These lyrics are not time-synced; use format=text or format=ttml' };
+            }
+            return {
+                lyrics: lines.map(line => `[${formatLrcTime(line.startMs)}]${line.text}`).join('\n'),
+                synced
+            };
+        case 'text':
+            return { lyrics: lines.map(line => line.text).join('\n'), synced };
+        default:
+            return { error: `format must be one of: ${LYRICS_FORMATS.join(', ')}` };
+    }
+}
+
+module.exports = {
+    LYRICS_FORMATS,
+    parseTtml,
+    formatLyrics
+};
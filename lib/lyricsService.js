@@ -0,0 +1,93 @@
+// Fetches song lyrics with an account's cookies and keeps them in Redis. Apple
+// only serves lyrics to a subscriber, so unlike the rest of the catalog this needs
+// the media-user-token of an eligible account.
+class LyricsService {
+    constructor(redisClient, musicInfoService, accountPool, { ttlSeconds }) {
+        this.redisClient = redisClient;
+        this.musicInfoService = musicInfoService;
+        this.accountPool = accountPool;
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    getCacheKey(storefront, songId) {
+        return `lyrics:${storefront}:${songId}`;
+    }
+
+    // Resolves to { lyrics, cached } with the TTML and song details, or to
+    // { error, errorCode, httpStatus } when there are none to be had
+    async getLyrics(url) {
+        const urlInfo = this.musicInfoService.parseUrl(url);
+        const identity = this.musicInfoService.getMediaIdentity(url);
+        if (!identity || identity.type !== 'song') {
+            return {
+                error: 'Lyrics need a song URL, or an album URL with ?i=<song id>',
+                errorCode: 'INVALID_URL',
+                httpStatus: 400
+            };
+        }
+
+        const { storefront } = urlInfo;
+        const songId = identity.id;
+        const cacheKey = this.getCacheKey(storefront, songId);
+        const cached = await this.redisClient.get(cacheKey);
+        if (cached) {
+            return { lyrics: JSON.parse(cached), cached: true };
+        }
+
+        const api = await this.musicInfoService.getOrCreateApi(storefront);
+        const song = await api.getSong(songId, undefined, 'albums');
+        if (!song) {
+            return { error: 'song not found', errorCode: 'SONG_NOT_FOUND', httpStatus: 404 };
+        }
+
+        const attributes = song.data[0].attributes;
+        if (!attributes.hasLyrics) {
+            return { error: 'This song has no lyrics', errorCode: 'LYRICS_NOT_FOUND', httpStatus: 404 };
+        }
+
+        const account = await this.accountPool.pickAccount(storefront);
+        const credentials = account && await this.accountPool.getCookieManager(account.name).getCredentials();
+        if (!credentials) {
+            return {
+                error: 'No Apple Music account with usable cookies; upload some with PUT /api/admin/cookies',
+                errorCode: 'COOKIES_EXPIRED',
+                httpStatus: 503
+            };
+        }
+
+        let ttml;
+        try {
+            ttml = await api.getLyrics(songId, credentials);
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 401 || status === 403) {
+                // Like a failed download: keep the next request off this account
+                await this.accountPool.bench(account.name, `Lyrics request rejected with ${status}`);
+                return {
+                    error: `Apple Music rejected the cookies of account ${account.name}; they may have expired or lack an active subscription`,
+                    errorCode: 'COOKIES_EXPIRED',
+                    httpStatus: 503
+                };
+            }
+            throw error;
+        }
+        if (!ttml) {
+            return { error: 'This song has no lyrics', errorCode: 'LYRICS_NOT_FOUND', httpStatus: 404 };
+        }
+
+        const lyrics = {
+            songId,
+            storefront,
+            name: attributes.name,
+            artistName: attributes.artistName,
+            albumName: attributes.albumName,
+            account: account.name,
+            fetchedAt: new Date().toISOString(),
+            ttml
+        };
+        await this.redisClient.setex(cacheKey, this.ttlSeconds, JSON.stringify(lyrics));
+        return { lyrics, cached: false };
+    }
+}
+
+module.exports = LyricsService;
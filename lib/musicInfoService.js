@@ -1,4 +1,6 @@
 const AppleMusicApi = require('./appleMusicApi');
+const TokenManager = require('./tokenManager');
+const { getArtworkUrls } = require('./artwork');
 const {
     VALID_URL_PATTERN,
     SONG_MEDIA_TYPE,
@@ -9,9 +11,52 @@ const {
     PLAYLIST_MEDIA_TYPE,
 } = require('./constants');
 
+// Storefronts queried at once when checking availability
+const AVAILABILITY_CONCURRENCY = parseInt(process.env.AVAILABILITY_CONCURRENCY || '8', 10);
+
+// VALID_URL_PATTERN is unanchored; downloads require the whole string to match
+const STRICT_URL_PATTERN = new RegExp(`^(?:${VALID_URL_PATTERN.source})$`);
+
+const MEDIA_TYPE_LABELS = [
+    [SONG_MEDIA_TYPE, 'song'],
+    [ALBUM_MEDIA_TYPE, 'album'],
+    [PLAYLIST_MEDIA_TYPE, 'playlist'],
+    [ARTIST_MEDIA_TYPE, 'artist'],
+    [MUSIC_VIDEO_MEDIA_TYPE, 'music-video'],
+    [UPLOADED_VIDEO_MEDIA_TYPE, 'uploaded-video'],
+];
+
+// Catalog API resource type for each media type label
+const CATALOG_RESOURCE_TYPES = {
+    song: 'songs',
+    album: 'albums',
+    playlist: 'playlists',
+    artist: 'artists',
+    'music-video': 'music-videos',
+};
+
+// Run fn over items with at most `limit` calls in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 class MusicInfoService {
-    constructor() {
+    constructor(tokenManager = null, catalogCache = null) {
         this.apiCache = new Map();
+        // Shared by every storefront client, so the token is fetched once
+        this.tokenManager = tokenManager || new TokenManager();
+        this.catalogCache = catalogCache;
     }
 
     parseUrl(url) {
@@ -30,17 +75,105 @@ class MusicInfoService {
         };
     }
 
+    // Validate the whole URL strictly and rebuild it from its parsed parts.
+    // Slugs and unknown query params are dropped, so only known-safe
+    // characters (storefront, type, ids) reach gamdl.
+    canonicalizeUrl(url) {
+        if (typeof url !== 'string') {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url.trim());
+        } catch {
+            return null;
+        }
+
+        if (parsed.protocol !== 'https:' || parsed.host !== 'music.apple.com') {
+            return null;
+        }
+
+        const subId = parsed.searchParams.get('i');
+        const candidate = `https://music.apple.com${parsed.pathname.replace(/\/+$/, '')}` +
+            (subId !== null ? `?i=${subId}` : '');
+        if (!STRICT_URL_PATTERN.test(candidate)) {
+            return null;
+        }
+
+        const groups = candidate.match(STRICT_URL_PATTERN).groups;
+        if (groups.library_id) {
+            const storefront = groups.library_storefront ? `/${groups.library_storefront}` : '';
+            return `https://music.apple.com${storefront}/library/${groups.library_type}/${groups.library_id}`;
+        }
+
+        const sub = groups.sub_id ? `?i=${groups.sub_id}` : '';
+        return `https://music.apple.com/${groups.storefront}/${groups.type}/${groups.id}${sub}`;
+    }
+
+    // Media type label ('song', 'album', ...) for a URL type such as 'albums' or 'library-playlists'
+    getMediaTypeLabel(type) {
+        const entry = MEDIA_TYPE_LABELS.find(([types]) => types.has(type));
+        return entry ? entry[1] : null;
+    }
+
+    // What a URL points at, regardless of storefront and slug.
+    // An album link with ?i= is the same song as the song link itself.
+    // Ids keep their case: pl.u-… and library ids are case-sensitive.
+    getMediaIdentity(url) {
+        const urlInfo = this.parseUrl(url);
+        if (!urlInfo) {
+            return null;
+        }
+
+        const type = this.getMediaTypeLabel(urlInfo.type);
+        if (urlInfo.subId) {
+            return { type: 'song', id: urlInfo.subId, isLibrary: false };
+        }
+
+        return {
+            type: urlInfo.isLibrary ? `library-${type}` : type,
+            id: urlInfo.id,
+            isLibrary: urlInfo.isLibrary,
+        };
+    }
+
+    // ISRC in its compact form (CCXXXYYNNNNN), or null when the value is not one
+    normalizeIsrc(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const isrc = value.replace(/[-\s]/g, '').toUpperCase();
+        return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc) ? isrc : null;
+    }
+
+    // UPC-A, EAN-13 or GTIN-14 as digits only, or null when the value is not one
+    normalizeUpc(value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return null;
+        }
+        const upc = String(value).replace(/[-\s]/g, '');
+        return /^\d{12,14}$/.test(upc) ? upc : null;
+    }
+
+    // The same canonical catalog URL in another storefront
+    withStorefront(url, storefront) {
+        return url.replace(/^https:\/\/music\.apple\.com\/[a-z]{2}\//, `https://music.apple.com/${storefront}/`);
+    }
+
     async getOrCreateApi(storefront) {
         const key = storefront.toLowerCase();
         if (!this.apiCache.has(key)) {
-            const api = new AppleMusicApi(storefront);
+            const api = new AppleMusicApi(storefront, undefined, undefined, this.tokenManager);
             await api.setup();
             this.apiCache.set(key, api);
         }
         return this.apiCache.get(key);
     }
 
-    async getMusicInfo(url) {
+    // With a catalog cache, results also carry `cache`: the entry's etag, cachedAt
+    // and whether it was a hit. `refresh` skips the cached entry and replaces it.
+    async getMusicInfo(url, { refresh = false } = {}) {
         const urlInfo = this.parseUrl(url);
         if (!urlInfo) {
             return {
@@ -49,7 +182,23 @@ class MusicInfoService {
             };
         }
 
+        const identity = this.getMediaIdentity(url);
+        const cacheKey = this.catalogCache && this.catalogCache.isCacheable(identity.type)
+            ? this.catalogCache.getKey(urlInfo.storefront, identity.type, identity.id)
+            : null;
+
         try {
+            if (cacheKey && !refresh) {
+                const entry = await this.catalogCache.get(cacheKey);
+                if (entry) {
+                    return {
+                        success: true,
+                        data: { ...entry.data, url: urlInfo },
+                        cache: { hit: true, etag: entry.etag, cachedAt: entry.cachedAt },
+                    };
+                }
+            }
+
             const api = await this.getOrCreateApi(urlInfo.storefront);
             
             // If URL has a sub_id, it's a song in an album
@@ -95,9 +244,22 @@ class MusicInfoService {
                 };
             }
 
+            const data = this.formatResponse(result, mediaTypeLabel, urlInfo);
+            if (!cacheKey) {
+                return {
+                    success: true,
+                    data,
+                };
+            }
+
+            // The parsed request URL is added back on every hit
+            const cacheable = { ...data };
+            delete cacheable.url;
+            const entry = await this.catalogCache.set(cacheKey, identity.type, cacheable);
             return {
                 success: true,
-                data: this.formatResponse(result, mediaTypeLabel, urlInfo),
+                data,
+                cache: { hit: false, etag: entry.etag, cachedAt: entry.cachedAt },
             };
         } catch (error) {
             console.error('Error fetching music info:', error);
@@ -108,6 +270,138 @@ class MusicInfoService {
         }
     }
 
+    // Resolve a normalized ISRC (songs) or UPC (albums) to the first matching release,
+    // with the same data as getMusicInfo plus its canonical URL. Other releases with
+    // the same code are listed in alternativeUrls.
+    async lookup({ isrc, upc, storefront = 'us' }) {
+        try {
+            const api = await this.getOrCreateApi(storefront);
+            const [label, codeName, code, matches] = isrc
+                ? ['song', 'ISRC', isrc, await api.getSongsByIsrc(isrc)]
+                : ['album', 'UPC', upc, await api.getAlbumsByUpc(upc)];
+
+            if (matches.length === 0) {
+                return {
+                    success: false,
+                    error: `No ${label} with ${codeName} ${code} in storefront ${storefront}`,
+                };
+            }
+
+            const urls = matches.map(match => `https://music.apple.com/${storefront}/${label}/${match.id}`);
+            const info = await this.getMusicInfo(urls[0]);
+            if (!info.success) {
+                return info;
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...info.data,
+                    canonicalUrl: urls[0],
+                    alternativeUrls: urls.slice(1),
+                },
+            };
+        } catch (error) {
+            console.error('Error looking up catalog code:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to look up the catalog code',
+            };
+        }
+    }
+
+    // Check which storefronts carry a catalog item. Items without playParams are
+    // listed but cannot be played there. Resolves to the storefronts grouped by
+    // status: playable, unplayable, missing, or failed when Apple did not answer.
+    async checkAvailability(url, storefronts) {
+        const identity = this.getMediaIdentity(url);
+        const resourceType = identity && !identity.isLibrary && CATALOG_RESOURCE_TYPES[identity.type];
+        if (!resourceType) {
+            return {
+                success: false,
+                error: `Availability can only be checked for catalog ${Object.keys(CATALOG_RESOURCE_TYPES).join(', ')} URLs`,
+            };
+        }
+
+        const statuses = await mapWithConcurrency(storefronts, AVAILABILITY_CONCURRENCY, async (storefront) => {
+            try {
+                const api = await this.getOrCreateApi(storefront);
+                const resource = await api.getCatalogResource(resourceType, identity.id);
+                if (!resource) {
+                    return 'missing';
+                }
+                // Artists have no playParams; being listed is all there is
+                return resource.attributes && (resource.attributes.playParams || identity.type === 'artist')
+                    ? 'playable'
+                    : 'unplayable';
+            } catch (error) {
+                console.error(`Error checking ${identity.type} ${identity.id} in ${storefront}:`, error.message);
+                return 'failed';
+            }
+        });
+
+        const data = {
+            type: identity.type,
+            id: identity.id,
+            checked: storefronts.length,
+            playable: [],
+            unplayable: [],
+            missing: [],
+            failed: [],
+        };
+        storefronts.forEach((storefront, i) => data[statuses[i]].push(storefront));
+
+        return {
+            success: true,
+            data,
+        };
+    }
+
+    // Search one storefront's catalog. Every hit has the formatResponse shape plus
+    // a canonical URL that /api/download and /api/get-info accept as is.
+    async search(term, { types, storefront = 'us', limit = 10, offset = 0 }) {
+        try {
+            const api = await this.getOrCreateApi(storefront);
+            const found = await api.search(term, types, limit, offset);
+
+            const results = {};
+            let hasMore = false;
+            for (const type of types) {
+                const group = found[type] || { data: [] };
+                const label = this.getMediaTypeLabel(type);
+                hasMore = hasMore || !!group.next;
+
+                results[type] = group.data
+                    .filter(item => item.attributes)
+                    .map(item => {
+                        const canonicalUrl = `https://music.apple.com/${storefront}/${label}/${item.id}`;
+                        return {
+                            ...this.formatResponse({ data: [item] }, label, this.parseUrl(canonicalUrl)),
+                            canonicalUrl,
+                        };
+                    });
+            }
+
+            return {
+                success: true,
+                data: {
+                    term,
+                    storefront,
+                    limit,
+                    offset,
+                    nextOffset: hasMore ? offset + limit : null,
+                    results,
+                },
+            };
+        } catch (error) {
+            console.error('Error searching catalog:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to search the catalog',
+            };
+        }
+    }
+
     formatResponse(apiResponse, mediaType, urlInfo) {
         const data = apiResponse.data[0];
         const attributes = data.attributes;
@@ -151,7 +445,8 @@ class MusicInfoService {
                     ...baseInfo,
                     artistName: attributes.artistName,
                     releaseDate: attributes.releaseDate,
-                    trackCount: attributes.trackCount,
+                    trackCount: attributes.trackCount ?? this.countRelationship(data, 'tracks'),
+                    truncated: this.isTruncated(data, 'tracks'),
                     genreNames: attributes.genreNames,
                     copyright: attributes.copyright,
                     recordLabel: attributes.recordLabel,
@@ -168,7 +463,8 @@ class MusicInfoService {
                     curatorName: attributes.curatorName,
                     description: attributes.description?.standard,
                     lastModifiedDate: attributes.lastModifiedDate,
-                    trackCount: data.relationships?.tracks?.data?.length || 0,
+                    trackCount: this.countRelationship(data, 'tracks'),
+                    truncated: this.isTruncated(data, 'tracks'),
                     tracks: this.extractTracks(data),
                 };
 
@@ -177,6 +473,9 @@ class MusicInfoService {
                     ...baseInfo,
                     genreNames: attributes.genreNames,
                     editorialNotes: attributes.editorialNotes,
+                    albumCount: this.countRelationship(data, 'albums'),
+                    musicVideoCount: this.countRelationship(data, 'music-videos'),
+                    truncated: this.isTruncated(data, 'albums') || this.isTruncated(data, 'music-videos'),
                     albums: this.extractRelationshipData(data, 'albums'),
                     musicVideos: this.extractRelationshipData(data, 'music-videos'),
                 };
@@ -214,9 +513,20 @@ class MusicInfoService {
             textColor2: artwork.textColor2,
             textColor3: artwork.textColor3,
             textColor4: artwork.textColor4,
+            // The template filled in for common widths, so clients need not
+            urls: getArtworkUrls(artwork),
         };
     }
 
+    countRelationship(data, relationshipType) {
+        return data.relationships?.[relationshipType]?.data?.length || 0;
+    }
+
+    // Set by AppleMusicApi when MAX_RELATIONSHIP_ITEMS stopped paging early
+    isTruncated(data, relationshipType) {
+        return !!data.relationships?.[relationshipType]?.truncated;
+    }
+
     extractTracks(data) {
         if (!data.relationships || !data.relationships.tracks || !data.relationships.tracks.data) {
             return [];
@@ -256,9 +566,91 @@ class MusicInfoService {
                 artistName: attrs.artistName,
                 releaseDate: attrs.releaseDate,
                 trackCount: attrs.trackCount,
+                isSingle: attrs.isSingle,
+                isCompilation: attrs.isCompilation,
             };
         }).filter(Boolean);
     }
+
+    // Release kind used by discography filters; EPs are titled "Name - EP"
+    getReleaseKind(album) {
+        if (album.isCompilation) {
+            return 'compilation';
+        }
+        if (album.isSingle || / - (EP|Single)$/.test(album.name || '')) {
+            return 'single';
+        }
+        return 'album';
+    }
+
+    // Expand an artist URL into the releases to download, as canonical URLs
+    async getDiscography(url, filters = {}) {
+        const {
+            albums = true,
+            singles = false,
+            compilations = false,
+            musicVideos = false,
+            releasedAfter,
+            releasedBefore,
+        } = filters;
+
+        const info = await this.getMusicInfo(url);
+        if (!info.success) {
+            return info;
+        }
+
+        const artist = info.data;
+        if (artist.type !== 'artist') {
+            return {
+                success: false,
+                error: 'Discography mode needs an artist URL',
+            };
+        }
+
+        const storefront = artist.url.storefront;
+        const kinds = { album: albums, single: singles, compilation: compilations };
+        const inDateRange = (release) => {
+            if (!release.releaseDate) {
+                return !releasedAfter && !releasedBefore;
+            }
+            return (!releasedAfter || release.releaseDate >= releasedAfter) &&
+                (!releasedBefore || release.releaseDate <= releasedBefore);
+        };
+
+        const releases = artist.albums
+            .filter(album => kinds[this.getReleaseKind(album)] && inDateRange(album))
+            .map(album => ({
+                type: this.getReleaseKind(album),
+                id: album.id,
+                name: album.name,
+                releaseDate: album.releaseDate,
+                url: `https://music.apple.com/${storefront}/album/${album.id}`,
+            }));
+
+        if (musicVideos) {
+            releases.push(...artist.musicVideos
+                .filter(inDateRange)
+                .map(video => ({
+                    type: 'music-video',
+                    id: video.id,
+                    name: video.name,
+                    releaseDate: video.releaseDate,
+                    url: `https://music.apple.com/${storefront}/music-video/${video.id}`,
+                })));
+        }
+
+        return {
+            success: true,
+            data: {
+                artist: {
+                    id: artist.id,
+                    name: artist.name,
+                    storefront,
+                },
+                releases,
+            },
+        };
+    }
 }
 
 module.exports = MusicInfoService;
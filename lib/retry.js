@@ -0,0 +1,71 @@
+const TRANSIENT_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const TRANSIENT_NETWORK_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    'ENOTFOUND',
+    'EPIPE',
+    'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+// gamdl is a Python tool, so its network failures show up as requests/urllib3 errors
+const TRANSIENT_OUTPUT_PATTERN = /ConnectionError|ConnectTimeout|ReadTimeout|RemoteDisconnected|Max retries exceeded|Temporary failure in name resolution|Connection reset by peer|\b(?:429|502|503|504)\b.*(?:Error|Too Many Requests|Gateway|Service Unavailable)/i;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter: a random delay between half and all of
+// baseMs * 2^(attempt - 1), capped at maxMs. attempt starts at 1.
+function getBackoffDelay(attempt, baseMs, maxMs) {
+    const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Retry-After is either a number of seconds or an HTTP date; null when absent or unreadable
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (/^\d+$/.test(String(value).trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Network errors, timeouts, rate limits and upstream 5xx are worth another try;
+// anything else (404, 400, bad data) would fail the same way again
+function isTransientHttpError(error) {
+    if (error.response) {
+        return TRANSIENT_STATUS_CODES.has(error.response.status);
+    }
+    return TRANSIENT_NETWORK_CODES.has(error.code);
+}
+
+// Whether a failed gamdl run may succeed when tried again
+function isTransientJobError(error) {
+    if (error.transient !== undefined) {
+        return error.transient;
+    }
+    // Killed by the run timeout
+    if (error.killed) {
+        return true;
+    }
+    if (error.response || TRANSIENT_NETWORK_CODES.has(error.code)) {
+        return isTransientHttpError(error);
+    }
+    return TRANSIENT_OUTPUT_PATTERN.test(`${error.stderr || ''}\n${error.stdout || ''}`);
+}
+
+module.exports = {
+    sleep,
+    getBackoffDelay,
+    parseRetryAfter,
+    isTransientHttpError,
+    isTransientJobError
+};
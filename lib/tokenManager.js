@@ -0,0 +1,166 @@
+const axios = require('axios');
+const { APPLE_MUSIC_HOMEPAGE_URL } = require('./constants');
+const { sleep } = require('./retry');
+
+const TOKEN_KEY = 'applemusic:token';
+const LOCK_KEY = 'applemusic:token:lock';
+const LOCK_TTL_MS = 30000;
+const LOCK_WAIT_MS = 10000;
+const LOCK_POLL_MS = 500;
+const REFRESH_MARGIN_SECONDS = parseInt(process.env.TOKEN_REFRESH_MARGIN_SECONDS || '3600', 10);
+// Stops a burst of 401/403 responses from re-scraping the homepage over and over
+const MIN_FORCED_REFRESH_INTERVAL_MS = 60000;
+
+function decodeExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+// One developer token shared by every storefront client. It is scraped from the
+// Apple Music web player, refreshed before its JWT `exp`, and cached in Redis so
+// replicas reuse it instead of all scraping at once. redisClient is optional.
+class TokenManager {
+    constructor(redisClient = null) {
+        this.redisClient = redisClient;
+        this.token = null;
+        this.expiresAt = null;
+        this.refreshedAt = 0;
+        this.refreshing = null;
+    }
+
+    isFresh() {
+        if (!this.token) {
+            return false;
+        }
+        // Tokens without a readable exp are kept until a request rejects them
+        return this.expiresAt === null || this.expiresAt - REFRESH_MARGIN_SECONDS * 1000 > Date.now();
+    }
+
+    async getToken() {
+        if (this.isFresh()) {
+            return this.token;
+        }
+        return this.refresh();
+    }
+
+    // Called when Apple rejects a token; the next getToken() fetches a new one
+    async invalidate(rejectedToken) {
+        if (rejectedToken !== this.token || Date.now() - this.refreshedAt < MIN_FORCED_REFRESH_INTERVAL_MS) {
+            return this.getToken();
+        }
+        return this.refresh(rejectedToken);
+    }
+
+    // Concurrent callers in this process share one refresh
+    refresh(rejectedToken = null) {
+        if (!this.refreshing) {
+            this.refreshing = this._refresh(rejectedToken).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async _refresh(rejectedToken) {
+        let token = await this._readShared(rejectedToken);
+
+        if (!token) {
+            token = await this._refreshShared(rejectedToken);
+        }
+
+        this.token = token;
+        this.expiresAt = decodeExpiry(token);
+        this.refreshedAt = Date.now();
+        console.log(`🔑 Apple Music token ready (expires ${this.expiresAt ? new Date(this.expiresAt).toISOString() : 'unknown'})`);
+        return token;
+    }
+
+    // A token another replica already stored, unless it is the one just rejected
+    async _readShared(rejectedToken) {
+        if (!this.redisClient) {
+            return null;
+        }
+
+        try {
+            const token = await this.redisClient.get(TOKEN_KEY);
+            return token && token !== rejectedToken ? token : null;
+        } catch (error) {
+            console.error('Error reading shared Apple Music token:', error.message);
+            return null;
+        }
+    }
+
+    // Only the replica holding the lock scrapes; the others wait for its result
+    async _refreshShared(rejectedToken) {
+        if (!this.redisClient) {
+            return this._scrape();
+        }
+
+        let locked = false;
+        try {
+            locked = await this.redisClient.set(LOCK_KEY, process.pid, 'PX', LOCK_TTL_MS, 'NX');
+        } catch (error) {
+            console.error('Error locking Apple Music token refresh:', error.message);
+            return this._scrape();
+        }
+
+        if (!locked) {
+            for (let waited = 0; waited < LOCK_WAIT_MS; waited += LOCK_POLL_MS) {
+                await sleep(LOCK_POLL_MS);
+                const token = await this._readShared(rejectedToken);
+                if (token) {
+                    return token;
+                }
+            }
+            return this._scrape();
+        }
+
+        try {
+            const token = await this._scrape();
+            const expiresAt = decodeExpiry(token);
+            const ttlMs = expiresAt ? expiresAt - Date.now() - REFRESH_MARGIN_SECONDS * 1000 : 24 * 60 * 60 * 1000;
+            if (ttlMs > 0) {
+                await this.redisClient.set(TOKEN_KEY, token, 'PX', ttlMs);
+            }
+            return token;
+        } finally {
+            await this.redisClient.del(LOCK_KEY).catch(() => {});
+        }
+    }
+
+    async _scrape() {
+        const response = await axios.get(APPLE_MUSIC_HOMEPAGE_URL);
+        const homePage = response.data;
+
+        const indexJsUriMatch = homePage.match(/\/(assets\/index-legacy[~-][^/"]+\.js)/);
+        if (!indexJsUriMatch) {
+            throw new Error('index.js URI not found in Apple Music homepage');
+        }
+        const indexJsUri = indexJsUriMatch[1];
+
+        const indexJsResponse = await axios.get(`${APPLE_MUSIC_HOMEPAGE_URL}/${indexJsUri}`);
+        const indexJsPage = indexJsResponse.data;
+
+        const tokenMatch = indexJsPage.match(/(?=eyJh)(.*?)(?=")/);
+        if (!tokenMatch) {
+            throw new Error('Token not found in index.js page');
+        }
+        return tokenMatch[1];
+    }
+
+    // For health checks
+    getStatus() {
+        return {
+            ready: !!this.token,
+            expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null,
+            expiresInSeconds: this.expiresAt ? Math.max(0, Math.floor((this.expiresAt - Date.now()) / 1000)) : null,
+            refreshedAt: this.refreshedAt ? new Date(this.refreshedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = TokenManager;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS || '5000', 10);
+const ATTEMPT_LOG_LIMIT = 50;
+const ATTEMPT_LOG_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+// Loopback, private, link-local, shared and reserved ranges; IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses hosts resolving to a private address. Used for the
+// connection itself too, so a host cannot pass the check and then re-resolve.
+async function lookupPublicAddress(hostname, options = {}) {
+    const addresses = await dns.lookup(hostname, { ...options, all: true });
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw new Error(`${hostname} resolves to a private or loopback address`);
+    }
+    return addresses;
+}
+
+// Delivers signed job callbacks through a dedicated Bull queue. Callbacks must be
+// https and reach a public address unless allowPrivateNetworks is set.
+class WebhookService {
+    constructor(queue, redisClient, secret, { allowPrivateNetworks = false } = {}) {
+        this.queue = queue;
+        this.redisClient = redisClient;
+        this.secret = secret;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+    }
+
+    isConfigured() {
+        return !!this.secret;
+    }
+
+    // Resolves to why callbackUrl cannot be used, or null
+    async getCallbackUrlError(callbackUrl) {
+        let parsed;
+        try {
+            parsed = new URL(callbackUrl);
+        } catch {
+            return 'Invalid callbackUrl';
+        }
+
+        const protocols = this.allowPrivateNetworks ? ['https:', 'http:'] : ['https:'];
+        if (!protocols.includes(parsed.protocol)) {
+            return `callbackUrl must use ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')}`;
+        }
+        if (this.allowPrivateNetworks) {
+            return null;
+        }
+
+        try {
+            await lookupPublicAddress(parsed.hostname.replace(/^\[|\]$/g, ''));
+        } catch (error) {
+            return `Invalid callbackUrl: ${error.message}`;
+        }
+        return null;
+    }
+
+    // Signature covers the timestamp too, so receivers can reject replays
+    sign(timestamp, body) {
+        const digest = crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    async enqueue(callbackUrl, event, payload) {
+        const deliveryId = uuidv4();
+
+        await this.queue.add({
+            deliveryId,
+            callbackUrl,
+            event,
+            payload: {
+                event,
+                ...payload,
+                sentAt: new Date().toISOString()
+            }
+        }, {
+            attempts: WEBHOOK_MAX_ATTEMPTS,
+            backoff: { type: 'exponential', delay: WEBHOOK_BACKOFF_MS },
+            removeOnComplete: true
+        });
+
+        return deliveryId;
+    }
+
+    async deliver(job) {
+        const { deliveryId, callbackUrl, event, payload } = job.data;
+        const attempt = job.attemptsMade + 1;
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const startedAt = Date.now();
+
+        const record = {
+            deliveryId,
+            event,
+            callbackUrl,
+            attempt,
+            maxAttempts: job.opts.attempts,
+            attemptedAt: new Date(startedAt).toISOString()
+        };
+
+        try {
+            // Checked again on delivery; a refused destination is not retried
+            const callbackUrlError = await this.getCallbackUrlError(callbackUrl);
+            if (callbackUrlError) {
+                job.discard();
+                throw new Error(callbackUrlError);
+            }
+
+            const response = await axios.post(callbackUrl, body, {
+                headers: {
+                    'content-type': 'application/json',
+                    'x-gamdl-event': event,
+                    'x-gamdl-delivery': deliveryId,
+                    'x-gamdl-timestamp': timestamp,
+                    'x-gamdl-signature': this.sign(timestamp, body)
+                },
+                timeout: WEBHOOK_TIMEOUT_MS,
+                maxRedirects: 0,
+                lookup: this.allowPrivateNetworks ? undefined : lookupPublicAddress,
+                validateStatus: status => status >= 200 && status < 300
+            });
+
+            await this.recordAttempt(payload.jobId, {
+                ...record,
+                success: true,
+                statusCode: response.status,
+                durationMs: Date.now() - startedAt
+            });
+        } catch (error) {
+            await this.recordAttempt(payload.jobId, {
+                ...record,
+                success: false,
+                statusCode: error.response ? error.response.status : null,
+                error: error.message,
+                durationMs: Date.now() - startedAt
+            });
+            throw error;
+        }
+    }
+
+    async recordAttempt(jobId, record) {
+        const key = `webhook:attempts:${jobId}`;
+        try {
+            await this.redisClient
+                .multi()
+                .lpush(key, JSON.stringify(record))
+                .ltrim(key, 0, ATTEMPT_LOG_LIMIT - 1)
+                .expire(key, ATTEMPT_LOG_TTL_SECONDS)
+                .exec();
+        } catch (error) {
+            console.error(`Error recording webhook attempt for job ${jobId}:`, error.message);
+        }
+    }
+
+    // Most recent attempt first
+    async getAttempts(jobId) {
+        const entries = await this.redisClient.lrange(`webhook:attempts:${jobId}`, 0, -1);
+        return entries.map(entry => JSON.parse(entry));
+    }
+}
+
+module.exports = WebhookService;
@@ -1,25 +1,61 @@
 const express = require('express');
 const Queue = require('bull');
 const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 const MusicInfoService = require('./lib/musicInfoService');
-
-const execAsync = promisify(exec);
-const musicInfoService = new MusicInfoService();
+const CatalogCache = require('./lib/catalogCache');
+const DownloadCache = require('./lib/downloadCache');
+const TokenManager = require('./lib/tokenManager');
+const { describeFiles, describeExtraFiles, listJobFiles, getResultFiles } = require('./lib/downloadFiles');
+const { selectArchiveFiles, getArchiveName, streamArchive } = require('./lib/jobArchive');
+const { normalizeDownloadOptions } = require('./lib/downloadOptions');
+const { runGamdl, stopGamdl } = require('./lib/gamdlRunner');
+const GamdlProgressParser = require('./lib/gamdlProgress');
+const WebhookService = require('./lib/webhookService');
+const ApiKeyService = require('./lib/apiKeyService');
+const DownloadJanitor = require('./lib/downloadJanitor');
+const ArtworkCache = require('./lib/artworkCache');
+const { ARTWORK_FORMATS, fillArtworkTemplate } = require('./lib/artwork');
+const CookieManager = require('./lib/cookieManager');
+const AccountPool = require('./lib/accountPool');
+const LyricsService = require('./lib/lyricsService');
+const { LYRICS_FORMATS, formatLyrics } = require('./lib/lyricsFormat');
+const { SEARCH_TYPES, SEARCH_MAX_LIMIT, STOREFRONT_IDS } = require('./lib/constants');
+const { sleep, getBackoffDelay, isTransientJobError } = require('./lib/retry');
+const { classifyGamdlError, getHttpStatus } = require('./lib/gamdlErrors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CACHE_TTL_DAYS = 3;
 const CACHE_TTL_SECONDS = CACHE_TTL_DAYS * 24 * 60 * 60; // 3 days in seconds
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const JANITOR_INTERVAL_MS = parseInt(process.env.JANITOR_INTERVAL_MS || '600000', 10); // 10 minutes
+const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+const STORAGE_LIMIT_BYTES = parseInt(process.env.STORAGE_LIMIT_BYTES || '0', 10); // 0 = unlimited
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '100', 10);
+// Queue concurrency - number of simultaneous downloads
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY || '5', 10);
+const COOKIES_PATH = process.env.COOKIES_PATH || path.join(__dirname, 'cookies', 'cookies.txt');
+const MAX_COOKIES_BYTES = 1024 * 1024; // 1MB
+const ACCOUNT_SELECTION = process.env.ACCOUNT_SELECTION === 'round-robin' ? 'round-robin' : 'storefront';
+const ACCOUNT_BENCH_SECONDS = parseInt(process.env.ACCOUNT_BENCH_SECONDS || '1800', 10); // 30 minutes
+const ACCOUNT_WAIT_TIMEOUT_MS = parseInt(process.env.ACCOUNT_WAIT_TIMEOUT_MS || '600000', 10); // 10 minutes
+const ACCOUNT_WAIT_POLL_MS = 2000;
+// Longer than the gamdl timeout, so a lease only runs out when its worker died
+const ACCOUNT_LEASE_MS = 15 * 60 * 1000;
+const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || '3', 10);
+const DOWNLOAD_RETRY_DELAY_MS = parseInt(process.env.DOWNLOAD_RETRY_DELAY_MS || '30000', 10);
+const DOWNLOAD_RETRY_MAX_DELAY_MS = 10 * 60 * 1000; // 10 minutes
+const ARTWORK_CACHE_TTL_SECONDS = parseInt(process.env.ARTWORK_CACHE_TTL_SECONDS || '2592000', 10); // 30 days
+const LYRICS_CACHE_TTL_SECONDS = parseInt(process.env.LYRICS_CACHE_TTL_SECONDS || '604800', 10); // 7 days
 
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use('/downloads', express.static('downloads'));
+app.use('/downloads', requireScope('read'), touchDownload, express.static('downloads'));
 
 // Create Bull queue (using in-memory if Redis is not available)
 const downloadQueue = new Queue('music-downloads', {
@@ -29,6 +65,12 @@ const downloadQueue = new Queue('music-downloads', {
     },
     settings: {
         maxStalledCount: 1,
+        backoffStrategies: {
+            // Only transient failures are retried; -1 tells Bull to fail the job for good
+            transient: (attemptsMade, err) => isTransientJobError(err)
+                ? getBackoffDelay(attemptsMade, DOWNLOAD_RETRY_DELAY_MS, DOWNLOAD_RETRY_MAX_DELAY_MS)
+                : -1
+        }
     }
 });
 
@@ -39,173 +81,515 @@ const redisClient = new Redis({
     port: process.env.REDIS_PORT || 6379,
 });
 
+// One Apple Music developer token for every storefront, shared through Redis
+const tokenManager = new TokenManager(redisClient);
+const musicInfoService = new MusicInfoService(tokenManager, new CatalogCache(redisClient));
+const downloadCache = new DownloadCache(redisClient, musicInfoService);
+
+// Webhook deliveries get their own queue so retries never block downloads
+const webhookQueue = new Queue('webhook-deliveries', {
+    redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+    }
+});
+
+const webhookService = new WebhookService(webhookQueue, redisClient, process.env.WEBHOOK_SECRET, {
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+});
+
+webhookQueue.process(async (job) => webhookService.deliver(job));
+
+webhookQueue.on('failed', (job, err) => {
+    const { deliveryId, callbackUrl } = job.data;
+    if (job.attemptsMade >= job.opts.attempts) {
+        console.error(`Webhook ${deliveryId} to ${callbackUrl} gave up after ${job.attemptsMade} attempts:`, err.message);
+    }
+});
+
+// Queue a callback for a job if the client asked for one
+async function notifyCallback(callbackUrl, event, payload) {
+    if (!callbackUrl) {
+        return;
+    }
+    try {
+        await webhookService.enqueue(callbackUrl, event, payload);
+    } catch (error) {
+        console.error(`Error queuing ${event} webhook for job ${payload.jobId}:`, error.message);
+    }
+}
+
+const apiKeyService = new ApiKeyService(redisClient, process.env.ADMIN_API_KEY);
+
+// Rendered cover images, next to the downloads but outside any job directory
+const artworkCache = new ArtworkCache(path.join(DOWNLOADS_DIR, '_artwork'), {
+    ttlSeconds: ARTWORK_CACHE_TTL_SECONDS
+});
+
+const downloadJanitor = new DownloadJanitor(redisClient, DOWNLOADS_DIR, {
+    ttlSeconds: CACHE_TTL_SECONDS,
+    intervalMs: JANITOR_INTERVAL_MS,
+    storageLimitBytes: STORAGE_LIMIT_BYTES,
+    artworkCache
+});
+
+// Uploaded cookies live at COOKIES_PATH; the other locations are from older setups
+const cookieManager = new CookieManager(COOKIES_PATH, [
+    '/app/cookies/cookies.txt', // Docker volume
+    path.join(__dirname, 'config', 'cookies.txt'),
+    './cookies/cookies.txt',
+    './cookies.txt'
+]);
+
+// Named Apple Music accounts; "default" uses the cookies file above
+const accountPool = new AccountPool(redisClient, cookieManager, {
+    cookiesDir: path.dirname(COOKIES_PATH),
+    defaultStorefront: process.env.DEFAULT_ACCOUNT_STOREFRONT || 'us',
+    defaultMaxConcurrency: QUEUE_CONCURRENCY,
+    benchSeconds: ACCOUNT_BENCH_SECONDS,
+    leaseMs: ACCOUNT_LEASE_MS,
+    selection: ACCOUNT_SELECTION
+});
+
+const lyricsService = new LyricsService(redisClient, musicInfoService, accountPool, {
+    ttlSeconds: LYRICS_CACHE_TTL_SECONDS
+});
+
+// Middleware recording file requests as accesses for LRU eviction
+function touchDownload(req, res, next) {
+    const jobId = req.path.split('/')[1];
+    if (jobId) {
+        downloadJanitor.touch(jobId).catch((error) => {
+            console.error(`Error recording access for job ${jobId}:`, error.message);
+        });
+    }
+    next();
+}
+
+// API key from X-API-Key, a Bearer token, or ?apiKey= (for EventSource and file links)
+function getRequestApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) {
+        return header;
+    }
+
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length);
+    }
+
+    return typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+// Middleware enforcing an API key with the given scope and its per-minute rate limit
+function requireScope(scope) {
+    return async (req, res, next) => {
+        if (AUTH_DISABLED) {
+            return next();
+        }
+
+        try {
+            const apiKey = await apiKeyService.authenticate(getRequestApiKey(req));
+
+            if (!apiKey) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Missing or invalid API key'
+                });
+            }
+
+            if (!apiKeyService.hasScope(apiKey, scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `API key does not have the '${scope}' scope`
+                });
+            }
+
+            const rateLimit = await apiKeyService.consumeRateLimit(apiKey);
+            if (rateLimit.limit) {
+                res.set('X-RateLimit-Limit', String(rateLimit.limit));
+                res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+            }
+
+            if (!rateLimit.allowed) {
+                res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Rate limit exceeded'
+                });
+            }
+
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            console.error('Error authenticating request:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    };
+}
+
 // Store job results in memory
 const jobResults = new Map();
 
-// Helper function to create cache key from URL
-function getCacheKey(url) {
-    // Normalize URL to ensure consistent caching
-    return `cache:url:${url.trim().toLowerCase()}`;
+// Relays queue events to SSE subscribers, keyed by jobId
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// gamdl child processes started by this instance's workers, keyed by jobId
+const activeProcesses = new Map();
+
+// Cancellation is broadcast so the instance running the job can stop its own process
+const CANCEL_CHANNEL = 'jobs:cancel';
+const CANCELLED_TTL_SECONDS = 3600;
+const redisSubscriber = redisClient.duplicate();
+
+redisSubscriber.subscribe(CANCEL_CHANNEL).catch((error) => {
+    console.error('Error subscribing to cancel channel:', error.message);
+});
+
+redisSubscriber.on('message', (channel, jobId) => {
+    if (channel !== CANCEL_CHANNEL) {
+        return;
+    }
+
+    const child = activeProcesses.get(jobId);
+    if (child) {
+        console.log(`Stopping gamdl process ${child.pid} for cancelled job ${jobId}`);
+        stopGamdl(child);
+    }
+
+    jobEvents.emit(jobId, 'cancelled', { status: 'cancelled' });
+});
+
+function getCancelledKey(jobId) {
+    return `job:cancelled:${jobId}`;
+}
+
+async function isJobCancelled(jobId) {
+    return (await redisClient.exists(getCancelledKey(jobId))) === 1;
 }
 
-// Helper function to schedule file deletion
-function scheduleFileDeletion(jobId, delayMs) {
-    setTimeout(async () => {
+// Remove a waiting job or stop an active one, then drop its partial files
+async function cancelJob(job) {
+    const { jobId } = job.data;
+
+    // A stopped job stays in Bull as failed; it was cancelled all the same
+    if (await isJobCancelled(jobId)) {
+        return { cancelled: false, state: 'cancelled' };
+    }
+
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+        return { cancelled: false, state };
+    }
+
+    const cancelledAt = new Date().toISOString();
+    await redisClient.setex(getCancelledKey(jobId), CANCELLED_TTL_SECONDS, cancelledAt);
+
+    if (state !== 'active') {
         try {
-            const outputDir = path.join(__dirname, 'downloads', jobId);
-            await fs.rm(outputDir, { recursive: true, force: true });
-            console.log(`Deleted cached files for job ${jobId} after ${CACHE_TTL_DAYS} days`);
+            await job.remove();
         } catch (error) {
-            console.error(`Error deleting files for job ${jobId}:`, error.message);
+            // Picked up by a worker in the meantime; the broadcast below stops it
+            console.warn(`Could not remove job ${jobId} (${error.message}), stopping it instead`);
+        }
+    }
+
+    await redisClient.publish(CANCEL_CHANNEL, jobId);
+    await fs.rm(path.join(DOWNLOADS_DIR, jobId), { recursive: true, force: true });
+
+    jobResults.set(jobId, {
+        status: 'cancelled',
+        jobId,
+        cancelledAt
+    });
+    setTimeout(() => {
+        jobResults.delete(jobId);
+    }, CANCELLED_TTL_SECONDS * 1000);
+
+    await notifyCallback(job.data.callbackUrl, 'job.cancelled', {
+        jobId,
+        url: job.data.url,
+        status: 'cancelled',
+        cancelledAt
+    });
+
+    console.log(`Cancelled job ${jobId} (was ${state})`);
+    return { cancelled: true, state, cancelledAt };
+}
+
+// Move cache entries keyed by the old lowercased URL over to media-based keys
+async function migrateLegacyCacheKeys() {
+    try {
+        const { migrated, dropped } = await downloadCache.migrateLegacyKeys();
+        if (migrated + dropped > 0) {
+            console.log(`🔁 Migrated ${migrated} legacy cache keys, dropped ${dropped}`);
         }
-    }, delayMs);
+    } catch (error) {
+        console.error('Error migrating legacy cache keys:', error.message);
+    }
 }
 
-// Helper function to check if cached files still exist
-async function cacheFilesExist(jobId, fileName) {
+// Helper function to check if every cached file still exists
+async function cacheFilesExist(cached) {
+    const files = getResultFiles(cached);
+    if (files.length === 0) {
+        return false;
+    }
+
     try {
-        const filePath = path.join(__dirname, 'downloads', jobId, fileName);
-        await fs.access(filePath);
+        for (const file of files) {
+            await fs.access(path.join(DOWNLOADS_DIR, cached.jobId, file.fileName));
+        }
         return true;
     } catch {
         return false;
     }
 }
 
-// Queue concurrency - number of simultaneous downloads
-const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY || '5', 10);
+// Lease an account for a job, waiting while every eligible account is at its limit
+async function leaseAccount(jobId, storefront) {
+    const deadline = Date.now() + ACCOUNT_WAIT_TIMEOUT_MS;
+
+    for (;;) {
+        const { account, reason } = await accountPool.acquire(jobId, storefront);
+        if (account) {
+            return account;
+        }
+
+        if (reason === 'unavailable') {
+            throw Object.assign(new Error('No Apple Music account with usable cookies; upload some with PUT /api/admin/cookies'), {
+                code: 'COOKIES_EXPIRED'
+            });
+        }
+        if (Date.now() >= deadline) {
+            throw Object.assign(new Error('Every Apple Music account stayed busy'), { transient: true });
+        }
+        if (await isJobCancelled(jobId)) {
+            throw new Error('Job cancelled');
+        }
+        await sleep(ACCOUNT_WAIT_POLL_MS);
+    }
+}
 
 // Process queue - multiple jobs concurrently
 downloadQueue.process(QUEUE_CONCURRENCY, async (job) => {
-    const { url, jobId } = job.data;
+    const { url, jobId, options = {} } = job.data;
+    let account = null;
 
-    console.log(`Processing job ${jobId} for URL: ${url}`);
+    console.log(`Processing job ${jobId} for URL: ${url} (attempt ${job.attemptsMade + 1}/${job.opts.attempts || 1})`);
 
     try {
-        const outputDir = path.join(__dirname, 'downloads', jobId);
-        await fs.mkdir(outputDir, { recursive: true });
-
-        // Find cookies file
-        let cookiesPath = null;
-        const cookieCandidates = [
-            '/app/cookies/cookies.txt', // Docker volume priority
-            path.join(__dirname, 'cookies', 'cookies.txt'),
-            './cookies/cookies.txt',
-            path.join(__dirname, 'config', 'cookies.txt'),
-            './cookies.txt'
-        ];
-
-        for (const candidate of cookieCandidates) {
-            try {
-                const stats = await fs.stat(candidate);
-                if (stats.isFile()) {
-                    cookiesPath = candidate;
-                    console.log(`Found cookies file at: ${cookiesPath}`);
-                    break;
-                }
-            } catch (e) {
-                // Continue to next candidate
-            }
-        }
-
-        if (!cookiesPath) {
-            console.warn('WARNING: Could not find cookies.txt in any expected location. Defaulting to ./cookies.txt');
-            cookiesPath = './cookies.txt';
+        // A retry may start after the job was cancelled on another instance
+        if (await isJobCancelled(jobId)) {
+            throw new Error('Job cancelled');
         }
 
-        // Execute gamdl command
-        const command = `gamdl "${url}" -o "${outputDir}" --cookies-path "${cookiesPath}"`;
+        const urlInfo = musicInfoService.parseUrl(url);
+        account = await leaseAccount(jobId, urlInfo ? urlInfo.storefront : null);
+        const { cookiesPath } = account;
+        await job.update({ ...job.data, account: account.name });
+        console.log(`Job ${jobId} uses account ${account.name} (${account.storefront})`);
 
-        console.log(`Executing: ${command}`);
+        const outputDir = path.join(DOWNLOADS_DIR, jobId);
+        await fs.mkdir(outputDir, { recursive: true });
 
-        const { stdout, stderr } = await execAsync(command, {
-            timeout: 600000, // 10 minutes timeout
-            maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+        // Execute gamdl without a shell, reporting progress as output arrives
+        const progressParser = new GamdlProgressParser();
+        const { stdout, stderr } = await runGamdl({ url, outputDir, cookiesPath, options }, {
+            onSpawn: (child) => {
+                activeProcesses.set(jobId, child);
+                // A cancel broadcast before this point found no process to stop
+                isJobCancelled(jobId).then((cancelled) => {
+                    if (cancelled) {
+                        console.log(`Stopping gamdl process ${child.pid} for cancelled job ${jobId}`);
+                        stopGamdl(child);
+                    }
+                }).catch((error) => {
+                    console.error(`Error checking cancellation of job ${jobId}:`, error.message);
+                });
+            },
+            onLine: (line) => {
+                const progress = progressParser.parse(line);
+                if (progress) {
+                    job.progress(progress).catch((error) => {
+                        console.error(`Error reporting progress for job ${jobId}:`, error.message);
+                    });
+                }
+            }
         });
 
         console.log('GAMDL Output:', stdout);
         if (stderr) console.error('GAMDL Errors:', stderr);
 
-        // Find the downloaded m4a file
-        const files = await findM4aFiles(outputDir);
+        // gamdl may have finished before a cancel could stop it; never report it as done
+        if (await isJobCancelled(jobId)) {
+            throw new Error('Job cancelled');
+        }
+
+        // Look up catalog metadata so files can be matched to track ids
+        let info = null;
+        try {
+            const infoResult = await musicInfoService.getMusicInfo(url);
+            if (infoResult.success) {
+                info = infoResult.data;
+            }
+        } catch (error) {
+            console.warn(`Could not fetch catalog info for job ${jobId}:`, error.message);
+        }
+
+        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+        const files = await describeFiles(outputDir, jobId, baseUrl, info);
 
         if (files.length === 0) {
-            throw new Error('No M4A file found after download');
+            // gamdl often exits cleanly after skipping every track; its log says why
+            throw Object.assign(new Error('No media files found after download'), {
+                stdout,
+                stderr,
+                noOutput: true
+            });
         }
 
-        // Return the first m4a file found
-        const fileName = files[0];
-        const fileUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/downloads/${jobId}/${fileName}`;
+        const extraFiles = await describeExtraFiles(outputDir, jobId, baseUrl);
 
         return {
             success: true,
-            fileUrl,
-            fileName,
-            jobId
+            jobId,
+            options,
+            fileCount: files.length,
+            totalSizeBytes: [...files, ...extraFiles].reduce((sum, file) => sum + file.fileSize, 0),
+            // First file kept for clients that only read a single file
+            fileUrl: files[0].fileUrl,
+            fileName: files[0].fileName,
+            files,
+            extraFiles
         };
 
     } catch (error) {
+        if (await isJobCancelled(jobId)) {
+            // Cancelled jobs leave no partial files behind and are never retried
+            await fs.rm(path.join(DOWNLOADS_DIR, jobId), { recursive: true, force: true });
+            await job.discard();
+            throw new Error('Job cancelled');
+        }
         console.error(`Job ${jobId} failed:`, error);
-        throw error;
-    }
-});
 
-// Recursive function to find m4a files
-async function findM4aFiles(dir) {
-    const files = await fs.readdir(dir, { withFileTypes: true });
-    const m4aFiles = [];
+        // Keep the classified error on the job so every instance can report it
+        const failure = classifyGamdlError(error);
 
-    for (const file of files) {
-        const fullPath = path.join(dir, file.name);
-        if (file.isDirectory()) {
-            const subFiles = await findM4aFiles(fullPath);
-            m4aFiles.push(...subFiles.map(f => path.join(file.name, f)));
-        } else if (file.name.endsWith('.m4a')) {
-            m4aFiles.push(file.name);
+        // Rejected cookies bench the account; the job is retried on another one if any is left
+        if (failure.code === 'COOKIES_EXPIRED' && account) {
+            await accountPool.bench(account.name, failure.message);
+            failure.transient = (await accountPool.getEligibleAccounts()).length > 0;
         }
-    }
+        await job.update({
+            ...job.data,
+            error: {
+                code: failure.code,
+                message: failure.message,
+                logTail: failure.logTail
+            }
+        }).catch((updateError) => {
+            console.error(`Error saving failure details for job ${jobId}:`, updateError.message);
+        });
 
-    return m4aFiles;
-}
+        throw Object.assign(new Error(failure.message), {
+            code: failure.code,
+            transient: failure.transient
+        });
+    } finally {
+        activeProcesses.delete(jobId);
+        if (account) {
+            await accountPool.release(account.name, jobId).catch((error) => {
+                console.error(`Error releasing account ${account.name} for job ${jobId}:`, error.message);
+            });
+        }
+    }
+});
 
 // Queue event listeners
 downloadQueue.on('completed', async (job, result) => {
     console.log(`Job ${job.data.jobId} completed successfully`);
     jobResults.set(job.data.jobId, {
         status: 'completed',
+        account: job.data.account || null,
         result
     });
 
     // Save to cache with 3-day TTL
     try {
-        const cacheKey = getCacheKey(job.data.url);
+        const cacheKey = downloadCache.getKey(job.data.url, job.data.options);
         await redisClient.setex(
             cacheKey,
             CACHE_TTL_SECONDS,
             JSON.stringify({
                 ...result,
+                url: job.data.url,
                 cachedAt: new Date().toISOString()
             })
         );
         console.log(`Cached result for URL: ${job.data.url}`);
 
-        // Schedule file deletion after 3 days
-        scheduleFileDeletion(job.data.jobId, CACHE_TTL_SECONDS * 1000);
+        // Files expire together with the cache entry; the janitor deletes both
+        await downloadJanitor.track(
+            job.data.jobId,
+            cacheKey,
+            Date.now() + CACHE_TTL_SECONDS * 1000,
+            result.totalSizeBytes
+        );
+
+        // Make room by evicting least recently used downloads
+        await downloadJanitor.enforceStorageLimit(job.data.jobId);
     } catch (error) {
         console.error('Error caching result:', error.message);
     }
 
+    await notifyCallback(job.data.callbackUrl, 'job.completed', {
+        jobId: job.data.jobId,
+        url: job.data.url,
+        status: 'completed',
+        cached: false,
+        result
+    });
+
     // Clean up old results after 1 hour
     setTimeout(() => {
         jobResults.delete(job.data.jobId);
     }, 3600000);
 });
 
-downloadQueue.on('failed', (job, err) => {
-    console.error(`Job ${job.data.jobId} failed:`, err.message);
+downloadQueue.on('failed', async (job, err) => {
+    if (await isJobCancelled(job.data.jobId).catch(() => false)) {
+        console.log(`Job ${job.data.jobId} stopped after cancellation`);
+        return;
+    }
+
+    // Bull emits this for every attempt; a job scheduled for a retry is delayed
+    const state = await job.getState().catch(() => 'failed');
+    if (state !== 'failed') {
+        console.warn(`Job ${job.data.jobId} attempt ${job.attemptsMade}/${job.opts.attempts} failed, retrying:`, err.message);
+        return;
+    }
+
+    console.error(`Job ${job.data.jobId} failed after ${job.attemptsMade} attempts:`, err.message);
     jobResults.set(job.data.jobId, {
         status: 'failed',
-        error: err.message
+        jobId: job.data.jobId,
+        account: job.data.account || null,
+        ...getJobError(job),
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.opts.attempts
+    });
+
+    await notifyCallback(job.data.callbackUrl, 'job.failed', {
+        jobId: job.data.jobId,
+        url: job.data.url,
+        status: 'failed',
+        ...getJobError(job),
+        attemptsMade: job.attemptsMade
     });
 
     // Clean up old results after 1 hour
@@ -214,10 +598,37 @@ downloadQueue.on('failed', (job, err) => {
     }, 3600000);
 });
 
+// Global events reach every server instance, not just the one running the worker
+downloadQueue.on('global:progress', (jobId, progress) => {
+    jobEvents.emit(jobId, 'progress', { status: 'active', progress });
+});
+
+downloadQueue.on('global:completed', (jobId, result) => {
+    let parsed = result;
+    try {
+        parsed = JSON.parse(result);
+    } catch {
+        // Already an object when emitted locally
+    }
+    jobEvents.emit(jobId, 'completed', { status: 'completed', result: parsed });
+});
+
+downloadQueue.on('global:failed', async (jobId, err) => {
+    // Cancelled jobs already got their event from the cancel broadcast
+    if (await isJobCancelled(jobId).catch(() => false)) {
+        return;
+    }
+    const job = await downloadQueue.getJob(jobId).catch(() => null);
+    jobEvents.emit(jobId, 'failed', {
+        status: 'failed',
+        ...(job ? getJobError(job) : { error: err, errorCode: 'UNKNOWN', logTail: '' })
+    });
+});
+
 // API Routes
 
 // Get music info from Apple Music URL
-app.get('/api/get-info', async (req, res) => {
+app.get('/api/get-info', requireScope('read'), async (req, res) => {
     try {
         const { url } = req.query;
 
@@ -236,12 +647,24 @@ app.get('/api/get-info', async (req, res) => {
             });
         }
 
-        const result = await musicInfoService.getMusicInfo(url);
+        const { cache, ...result } = await musicInfoService.getMusicInfo(url, {
+            refresh: req.query.refresh === 'true'
+        });
 
         if (!result.success) {
             return res.status(404).json(result);
         }
 
+        if (cache) {
+            res.set('ETag', cache.etag);
+            res.set('Last-Modified', new Date(cache.cachedAt).toUTCString());
+            res.set('X-Cache', cache.hit ? 'HIT' : 'MISS');
+            // Compares If-None-Match / If-Modified-Since with the headers above
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+        }
+
         return res.json(result);
     } catch (error) {
         console.error('Error in /get-info:', error);
@@ -252,142 +675,1191 @@ app.get('/api/get-info', async (req, res) => {
     }
 });
 
-// Submit download request
-app.post('/api/download', async (req, res) => {
-    try {
-        const { url } = req.body;
+function isValidStorefront(storefront) {
+    return typeof storefront === 'string' && !!STOREFRONT_IDS[storefront.toUpperCase()];
+}
 
-        if (!url) {
-            return res.status(400).json({
-                success: false,
-                error: 'URL is required'
-            });
+// Read exactly one of isrc/upc and an optional storefront from a query or body.
+// Resolves to { error } or to { lookup } with the code normalized.
+function parseLookup({ isrc, upc, storefront = 'us' }) {
+    if ((isrc === undefined) === (upc === undefined)) {
+        return { error: 'Give either isrc or upc' };
+    }
+    if (!isValidStorefront(storefront)) {
+        return { error: 'storefront must be a two-letter Apple Music country code such as "us"' };
+    }
+
+    const lookup = { storefront: storefront.toLowerCase() };
+    if (isrc !== undefined) {
+        lookup.isrc = musicInfoService.normalizeIsrc(isrc);
+        if (!lookup.isrc) {
+            return { error: 'isrc must be a 12-character ISRC such as "GBARL9300135"' };
+        }
+    } else {
+        lookup.upc = musicInfoService.normalizeUpc(upc);
+        if (!lookup.upc) {
+            return { error: 'upc must be a 12-14 digit UPC or EAN' };
         }
+    }
+    return { lookup };
+}
 
-        // Validate URL
-        if (!url.includes('music.apple.com')) {
+// Find the song for an ISRC or the album for a UPC
+app.get('/api/lookup', requireScope('read'), async (req, res) => {
+    try {
+        const { lookup, error } = parseLookup(req.query);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid Apple Music URL'
+                error
             });
         }
 
-        // Check cache first
-        const cacheKey = getCacheKey(url);
-        const cachedResult = await redisClient.get(cacheKey);
-
-        if (cachedResult) {
-            const cached = JSON.parse(cachedResult);
-            console.log(`Cache hit for URL: ${url}`);
-
-            // Verify files still exist
-            const filesExist = await cacheFilesExist(cached.jobId, cached.fileName);
+        const result = await musicInfoService.lookup(lookup);
 
-            if (filesExist) {
-                // Return cached result immediately
-                return res.json({
-                    success: true,
-                    jobId: cached.jobId,
-                    message: 'Retrieved from cache',
-                    cached: true,
-                    cachedAt: cached.cachedAt,
-                    result: {
-                        success: cached.success,
-                        fileUrl: cached.fileUrl,
-                        fileName: cached.fileName,
-                        jobId: cached.jobId
-                    },
-                    statusUrl: `/api/status/${cached.jobId}`
-                });
-            } else {
-                // Cache exists but files are gone, invalidate cache
-                console.log(`Cache invalid (files missing) for URL: ${url}`);
-                await redisClient.del(cacheKey);
-            }
+        if (!result.success) {
+            return res.status(404).json(result);
         }
 
-        console.log(`Cache miss for URL: ${url}, queuing new download`);
-
-        const jobId = uuidv4();
-
-        // Add job to queue
-        const job = await downloadQueue.add({
-            url,
-            jobId
-        });
-
-        res.json({
-            success: true,
-            jobId,
-            message: 'Download request queued',
-            cached: false,
-            statusUrl: `/api/status/${jobId}`
-        });
-
+        return res.json(result);
     } catch (error) {
-        console.error('Error submitting download:', error);
-        res.status(500).json({
+        console.error('Error in /api/lookup:', error);
+        return res.status(500).json({
             success: false,
-            error: error.message
+            error: 'Internal server error'
         });
     }
 });
 
-// Check job status
-app.get('/api/status/:jobId', async (req, res) => {
+// Check which storefronts can play a catalog item
+app.get('/api/availability', requireScope('read'), async (req, res) => {
     try {
-        const { jobId } = req.params;
+        const { url, storefronts = 'all' } = req.query;
 
-        // Check if we have cached result
-        if (jobResults.has(jobId)) {
-            const result = jobResults.get(jobId);
-            return res.json(result);
+        const canonicalUrl = url ? musicInfoService.canonicalizeUrl(url) : null;
+        if (!canonicalUrl) {
+            return res.status(400).json({
+                success: false,
+                error: url ? 'Invalid Apple Music URL' : 'URL parameter is required'
+            });
         }
 
-        // Try to find the job in the queue
-        const jobs = await downloadQueue.getJobs(['waiting', 'active', 'completed', 'failed']);
-        const job = jobs.find(j => j.data.jobId === jobId);
-
-        if (!job) {
-            return res.status(404).json({
+        const requested = storefronts === 'all'
+            ? Object.keys(STOREFRONT_IDS).map(storefront => storefront.toLowerCase())
+            : [...new Set(String(storefronts).split(',').map(storefront => storefront.trim().toLowerCase()).filter(Boolean))];
+        if (requested.length === 0 || !requested.every(isValidStorefront)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Job not found'
+                error: 'storefronts must be "all" or a comma-separated list of two-letter Apple Music country codes'
             });
         }
 
-        const state = await job.getState();
-
-        let response = {
-            status: state,
-            jobId
-        };
+        // The URL's own storefront is always checked
+        const urlStorefront = musicInfoService.parseUrl(canonicalUrl).storefront;
+        const checked = requested.includes(urlStorefront) ? requested : [urlStorefront, ...requested];
+        const result = await musicInfoService.checkAvailability(canonicalUrl, checked);
 
-        if (state === 'completed') {
-            response.result = job.returnvalue;
-        } else if (state === 'failed') {
-            response.error = job.failedReason;
+        if (!result.success) {
+            return res.status(400).json(result);
         }
 
-        res.json(response);
-
+        return res.json({
+            success: true,
+            data: {
+                ...result.data,
+                storefront: urlStorefront,
+                availableInStorefront: result.data.playable.includes(urlStorefront)
+            }
+        });
     } catch (error) {
-        console.error('Error checking status:', error);
-        res.status(500).json({
+        console.error('Error in /api/availability:', error);
+        return res.status(500).json({
             success: false,
-            error: error.message
+            error: 'Internal server error'
         });
     }
 });
 
-// Get queue stats
-app.get('/api/queue/stats', async (req, res) => {
+const DEFAULT_SEARCH_TYPES = ['songs', 'albums', 'playlists', 'artists'];
+const MAX_SEARCH_TERM_LENGTH = 200;
+
+// Search the catalog of one storefront
+app.get('/api/search', requireScope('read'), async (req, res) => {
     try {
-        const [waiting, active, completed, failed] = await Promise.all([
-            downloadQueue.getWaitingCount(),
-            downloadQueue.getActiveCount(),
-            downloadQueue.getCompletedCount(),
-            downloadQueue.getFailedCount()
-        ]);
+        const { term, types, storefront = 'us', limit = '10', offset = '0' } = req.query;
+
+        if (typeof term !== 'string' || !term.trim() || term.length > MAX_SEARCH_TERM_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `term must be 1-${MAX_SEARCH_TERM_LENGTH} characters`
+            });
+        }
+
+        const searchTypes = types === undefined
+            ? DEFAULT_SEARCH_TYPES
+            : [...new Set(String(types).split(',').map(type => type.trim()).filter(Boolean))];
+        const unknownTypes = searchTypes.filter(type => !SEARCH_TYPES.includes(type));
+        if (searchTypes.length === 0 || unknownTypes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`
+            });
+        }
+
+        if (!isValidStorefront(storefront)) {
+            return res.status(400).json({
+                success: false,
+                error: 'storefront must be a two-letter Apple Music country code such as "us"'
+            });
+        }
+
+        const pageSize = Number(limit);
+        const pageOffset = Number(offset);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > SEARCH_MAX_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                error: `limit must be an integer from 1 to ${SEARCH_MAX_LIMIT}`
+            });
+        }
+        if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'offset must be a non-negative integer'
+            });
+        }
+
+        const result = await musicInfoService.search(term.trim(), {
+            types: searchTypes,
+            storefront: storefront.toLowerCase(),
+            limit: pageSize,
+            offset: pageOffset
+        });
+
+        if (!result.success) {
+            return res.status(502).json(result);
+        }
+
+        return res.json(result);
+    } catch (error) {
+        console.error('Error in /api/search:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+const ARTWORK_MIN_SIZE = 50;
+const ARTWORK_MAX_SIZE = 5000;
+
+// Cover art of a catalog item at the requested width. Images are cached on the
+// downloads volume, so repeated requests are served without asking Apple.
+app.get('/api/artwork', requireScope('read'), async (req, res) => {
+    try {
+        const { url, size = '1200', format = 'jpg' } = req.query;
+
+        const canonicalUrl = url ? musicInfoService.canonicalizeUrl(url) : null;
+        if (!canonicalUrl) {
+            return res.status(400).json({
+                success: false,
+                error: url ? 'Invalid Apple Music URL' : 'URL parameter is required'
+            });
+        }
+
+        const width = Number(size);
+        if (!Number.isInteger(width) || width < ARTWORK_MIN_SIZE || width > ARTWORK_MAX_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: `size must be an integer from ${ARTWORK_MIN_SIZE} to ${ARTWORK_MAX_SIZE}`
+            });
+        }
+        if (!ARTWORK_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${ARTWORK_FORMATS.join(', ')}`
+            });
+        }
+
+        const identity = musicInfoService.getMediaIdentity(canonicalUrl);
+        const fileName = `${identity.type}-${identity.id}-${width}.${format}`;
+        let filePath = await artworkCache.get(fileName);
+        const cacheStatus = filePath ? 'HIT' : 'MISS';
+
+        if (!filePath) {
+            const info = await musicInfoService.getMusicInfo(canonicalUrl);
+            if (!info.success) {
+                return res.status(404).json(info);
+            }
+            if (!info.data.artwork) {
+                return res.status(404).json({
+                    success: false,
+                    error: `This ${info.data.type} has no artwork`
+                });
+            }
+            filePath = await artworkCache.fetch(fileName, fillArtworkTemplate(info.data.artwork, width, format));
+        }
+
+        res.set('Cache-Control', `public, max-age=${ARTWORK_CACHE_TTL_SECONDS}`);
+        res.set('X-Cache', cacheStatus);
+        return res.type(format).sendFile(filePath);
+    } catch (error) {
+        console.error('Error in /api/artwork:', error.message);
+        return res.status(502).json({
+            success: false,
+            error: 'Failed to fetch artwork from Apple Music'
+        });
+    }
+});
+
+// Get a song's lyrics as TTML, LRC or plain text
+app.get('/api/lyrics', requireScope('read'), async (req, res) => {
+    try {
+        const { url, format = 'ttml' } = req.query;
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL parameter is required'
+            });
+        }
+        if (!LYRICS_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${LYRICS_FORMATS.join(', ')}`
+            });
+        }
+
+        const canonicalUrl = musicInfoService.canonicalizeUrl(url);
+        if (!canonicalUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Apple Music URL'
+            });
+        }
+
+        const { lyrics, cached, error, errorCode, httpStatus } = await lyricsService.getLyrics(canonicalUrl);
+        if (error) {
+            return res.status(httpStatus).json({
+                success: false,
+                error,
+                errorCode
+            });
+        }
+
+        const formatted = formatLyrics(lyrics.ttml, format);
+        if (formatted.error) {
+            return res.status(422).json({
+                success: false,
+                error: formatted.error,
+                errorCode: 'LYRICS_NOT_SYNCED'
+            });
+        }
+
+        const { ttml, ...details } = lyrics;
+        return res.json({
+            success: true,
+            cached,
+            data: {
+                ...details,
+                format,
+                synced: formatted.synced,
+                lyrics: formatted.lyrics
+            }
+        });
+    } catch (error) {
+        console.error('Error in /api/lyrics:', error);
+        return res.status(502).json({
+            success: false,
+            error: 'Failed to fetch lyrics from Apple Music'
+        });
+    }
+});
+
+// Resolves to an error message when callbackUrl is given but cannot be used
+async function validateCallbackUrl(callbackUrl) {
+    if (callbackUrl === undefined) {
+        return null;
+    }
+    if (!webhookService.isConfigured()) {
+        return 'Callbacks are not enabled on this server (WEBHOOK_SECRET is not set)';
+    }
+    return webhookService.getCallbackUrlError(callbackUrl);
+}
+
+// When the URL's storefront cannot play the item, move the URL to the storefront
+// of an account that can. Resolves to { url } or to { statusCode, error, errorCode }.
+async function findAvailableUrl(url) {
+    const identity = musicInfoService.getMediaIdentity(url);
+    if (identity.isLibrary) {
+        return { url };
+    }
+
+    const { storefront } = musicInfoService.parseUrl(url);
+    const accounts = await accountPool.getEligibleAccounts();
+    const candidates = [...new Set([storefront, ...accounts.map(account => account.storefront)])];
+    const result = await musicInfoService.checkAvailability(url, candidates);
+    if (!result.success) {
+        return { url };
+    }
+
+    const { playable, failed } = result.data;
+    if (playable.includes(storefront) || failed.includes(storefront)) {
+        return { url };
+    }
+
+    const target = candidates.find(candidate => playable.includes(candidate));
+    if (!target) {
+        return {
+            statusCode: 451,
+            errorCode: 'NOT_AVAILABLE_IN_STOREFRONT',
+            error: `Not available in ${candidates.join(', ')} (the storefronts of the URL and of every usable account); see GET /api/availability for others`
+        };
+    }
+
+    console.log(`${url} is not available in ${storefront}, downloading from ${target}`);
+    return { url: musicInfoService.withStorefront(url, target) };
+}
+
+// Validate one URL, answer it from cache or queue it.
+// Resolves to the HTTP status and body the single download route sends.
+// options must already be normalized; each set of options is its own cache entry.
+async function submitDownload(rawUrl, { callbackUrl, apiKey, options = {}, storefrontFallback = false }) {
+    if (!rawUrl) {
+        return {
+            statusCode: 400,
+            body: {
+                success: false,
+                error: 'URL is required'
+            }
+        };
+    }
+
+    // Validate URL strictly and only pass the canonical form on
+    const url = musicInfoService.canonicalizeUrl(rawUrl);
+    if (!url) {
+        return {
+            statusCode: 400,
+            body: {
+                success: false,
+                error: 'Invalid Apple Music URL'
+            }
+        };
+    }
+
+    // Check cache first
+    const cacheKey = downloadCache.getKey(url, options);
+    const cachedResult = await redisClient.get(cacheKey);
+
+    if (cachedResult) {
+        const cached = JSON.parse(cachedResult);
+        console.log(`Cache hit for URL: ${url}`);
+
+        // Verify files still exist
+        const filesExist = await cacheFilesExist(cached);
+
+        if (filesExist) {
+            const files = getResultFiles(cached);
+            await downloadJanitor.touch(cached.jobId);
+
+            await notifyCallback(callbackUrl, 'job.completed', {
+                jobId: cached.jobId,
+                url,
+                status: 'completed',
+                cached: true,
+                result: cached
+            });
+
+            // Return cached result immediately
+            return {
+                statusCode: 200,
+                body: {
+                    success: true,
+                    jobId: cached.jobId,
+                    message: 'Retrieved from cache',
+                    cached: true,
+                    cachedAt: cached.cachedAt,
+                    result: {
+                        success: cached.success,
+                        jobId: cached.jobId,
+                        options: cached.options || {},
+                        fileCount: files.length,
+                        totalSizeBytes: cached.totalSizeBytes,
+                        fileUrl: cached.fileUrl,
+                        fileName: cached.fileName,
+                        files,
+                        extraFiles: cached.extraFiles || []
+                    },
+                    statusUrl: `/api/status/${cached.jobId}`
+                }
+            };
+        }
+
+        // Cache exists but files are gone, invalidate cache
+        console.log(`Cache invalid (files missing) for URL: ${url}`);
+        await redisClient.del(cacheKey);
+    }
+
+    console.log(`Cache miss for URL: ${url}, queuing new download`);
+
+    let downloadUrl = url;
+    if (storefrontFallback) {
+        const available = await findAvailableUrl(url);
+        if (available.error) {
+            return {
+                statusCode: available.statusCode,
+                body: {
+                    success: false,
+                    error: available.error,
+                    errorCode: available.errorCode
+                }
+            };
+        }
+        downloadUrl = available.url;
+    }
+
+    if (apiKey) {
+        const quota = await apiKeyService.consumeDownloadQuota(apiKey);
+        if (!quota.allowed) {
+            return {
+                statusCode: 429,
+                body: {
+                    success: false,
+                    error: `Daily download quota of ${quota.quota} reached`
+                }
+            };
+        }
+    }
+
+    const jobId = uuidv4();
+
+    // Add job to queue, using our jobId as the Bull job id for direct lookups
+    await downloadQueue.add({
+        url: downloadUrl,
+        jobId,
+        options,
+        callbackUrl,
+        apiKeyId: apiKey ? apiKey.id : null
+    }, {
+        jobId,
+        attempts: DOWNLOAD_MAX_ATTEMPTS,
+        backoff: { type: 'transient' }
+    });
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            jobId,
+            message: 'Download request queued',
+            cached: false,
+            // Set when the item is downloaded from another storefront
+            fallbackUrl: downloadUrl !== url ? downloadUrl : undefined,
+            statusUrl: `/api/status/${jobId}`
+        }
+    };
+}
+
+// Classified error of a failed job. Jobs failed before errors were classified,
+// or outside the worker (e.g. stalled), only have Bull's failure reason.
+function getJobError(job) {
+    const details = job.data.error;
+    if (!details) {
+        return {
+            error: job.failedReason || 'Unknown error',
+            errorCode: 'UNKNOWN',
+            logTail: ''
+        };
+    }
+    return {
+        error: details.message,
+        errorCode: details.code,
+        logTail: details.logTail
+    };
+}
+
+// Current status of a job, or null when it is unknown. Jobs queued by this
+// version (batch items included) can pass { scan: false } to skip the queue scan.
+async function getJobStatus(jobId, { scan = true } = {}) {
+    // Check if we have cached result
+    if (jobResults.has(jobId)) {
+        return jobResults.get(jobId);
+    }
+
+    // Cancelled on another instance, or removed from the queue while waiting
+    const cancelledAt = await redisClient.get(getCancelledKey(jobId));
+    if (cancelledAt) {
+        return {
+            status: 'cancelled',
+            jobId,
+            cancelledAt
+        };
+    }
+
+    // Jobs are stored under their jobId; older ones need a scan of the queue
+    let job = await downloadQueue.getJob(jobId);
+    if (!job && scan) {
+        const jobs = await downloadQueue.getJobs(['waiting', 'active', 'completed', 'failed', 'delayed']);
+        job = jobs.find(j => j.data.jobId === jobId);
+    }
+
+    if (!job) {
+        return null;
+    }
+
+    const state = await job.getState();
+
+    // A delayed job is waiting for its next attempt after a transient failure
+    let response = {
+        status: state === 'delayed' ? 'retrying' : state,
+        jobId,
+        submittedBy: job.data.apiKeyId || null,
+        account: job.data.account || null,
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.opts.attempts || 1,
+        lastError: job.failedReason || null,
+        lastErrorCode: job.failedReason ? getJobError(job).errorCode : null
+    };
+
+    if (state === 'completed') {
+        response.result = job.returnvalue;
+    } else if (state === 'failed') {
+        Object.assign(response, getJobError(job));
+    } else {
+        response.progress = job.progress();
+    }
+
+    return response;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DISCOGRAPHY_FLAGS = ['albums', 'singles', 'compilations', 'musicVideos'];
+
+// Expand an artist URL into one job per release, grouped as a batch
+async function submitDiscography(req, res, options) {
+    const { url: rawUrl, callbackUrl } = req.body;
+    const filters = req.body.discography === true ? {} : req.body.discography;
+
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return res.status(400).json({
+            success: false,
+            error: 'discography must be true or an object of filters'
+        });
+    }
+
+    for (const flag of DISCOGRAPHY_FLAGS) {
+        if (filters[flag] !== undefined && typeof filters[flag] !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: `discography.${flag} must be a boolean`
+            });
+        }
+    }
+
+    for (const field of ['releasedAfter', 'releasedBefore']) {
+        if (filters[field] !== undefined && !DATE_PATTERN.test(filters[field])) {
+            return res.status(400).json({
+                success: false,
+                error: `discography.${field} must be a YYYY-MM-DD date`
+            });
+        }
+    }
+
+    const url = rawUrl ? musicInfoService.canonicalizeUrl(rawUrl) : null;
+    const identity = url ? musicInfoService.getMediaIdentity(url) : null;
+    if (!identity || identity.type !== 'artist') {
+        return res.status(400).json({
+            success: false,
+            error: 'Discography mode needs a valid Apple Music artist URL'
+        });
+    }
+
+    const discography = await musicInfoService.getDiscography(url, filters);
+    if (!discography.success) {
+        return res.status(404).json(discography);
+    }
+
+    const { artist, releases } = discography.data;
+    if (releases.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'No releases match the discography filters'
+        });
+    }
+
+    const batch = await createBatch(releases.map(release => release.url), {
+        callbackUrl,
+        apiKey: req.apiKey,
+        options,
+        details: {
+            type: 'discography',
+            artist,
+            filters,
+            releases
+        }
+    });
+
+    console.log(`Queued discography of ${artist.name}: ${releases.length} releases in batch ${batch.batchId}`);
+
+    res.status(201).json({
+        ...getBatchSummary(batch),
+        type: 'discography',
+        artist
+    });
+}
+
+// Submit download request
+app.post('/api/download', requireScope('download'), async (req, res) => {
+    try {
+        const { callbackUrl } = req.body;
+        const callbackError = await validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+            return res.status(400).json({
+                success: false,
+                error: callbackError
+            });
+        }
+
+        const { options, error: optionsError } = normalizeDownloadOptions(req.body.options);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        const { storefrontFallback = false } = req.body;
+        if (typeof storefrontFallback !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'storefrontFallback must be a boolean'
+            });
+        }
+
+        if (req.body.discography !== undefined) {
+            return submitDiscography(req, res, options);
+        }
+
+        // An ISRC or UPC stands in for the URL of the song or album it belongs to
+        let { url } = req.body;
+        let resolvedUrl = null;
+        if (req.body.isrc !== undefined || req.body.upc !== undefined) {
+            const { lookup, error } = url === undefined
+                ? parseLookup(req.body)
+                : { error: 'Give either url, isrc or upc' };
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const found = await musicInfoService.lookup(lookup);
+            if (!found.success) {
+                return res.status(404).json(found);
+            }
+            url = resolvedUrl = found.data.canonicalUrl;
+        }
+
+        const { statusCode, body } = await submitDownload(url, {
+            callbackUrl,
+            apiKey: req.apiKey,
+            options,
+            storefrontFallback
+        });
+
+        res.status(statusCode).json(resolvedUrl ? { ...body, resolvedUrl } : body);
+
+    } catch (error) {
+        console.error('Error submitting download:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Check job status
+app.get('/api/status/:jobId', requireScope('read'), async (req, res) => {
+    try {
+        const response = await getJobStatus(req.params.jobId);
+
+        if (!response) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        // Failed jobs answer with the HTTP status that matches their error code
+        const statusCode = response.status === 'failed' ? getHttpStatus(response.errorCode) : 200;
+        res.status(statusCode).json(response);
+
+    } catch (error) {
+        console.error('Error checking status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+function getBatchKey(batchId) {
+    return `batch:${batchId}`;
+}
+
+// Overall batch state from per-item counts
+function getBatchState(counts) {
+    const finished = counts.completed + counts.failed + counts.cancelled + counts.invalid + counts.rejected;
+
+    if (finished === counts.total) {
+        if (counts.completed === counts.total) {
+            return 'completed';
+        }
+        return counts.completed > 0 ? 'partial' : 'failed';
+    }
+
+    return counts.active + counts.retrying + finished > 0 ? 'processing' : 'queued';
+}
+
+// Submit every URL like a single download and store the group as one batch.
+// Extra fields in details (e.g. the artist of a discography) are kept on the batch.
+async function createBatch(urls, { callbackUrl, apiKey, options = {}, details = {} }) {
+    const items = [];
+    for (const [index, rawUrl] of urls.entries()) {
+        const { statusCode, body } = await submitDownload(rawUrl, {
+            callbackUrl,
+            apiKey,
+            options
+        });
+
+        if (!body.success) {
+            items.push({
+                index,
+                url: rawUrl,
+                jobId: null,
+                status: statusCode === 429 ? 'rejected' : 'invalid',
+                error: body.error
+            });
+            continue;
+        }
+
+        items.push({
+            index,
+            url: rawUrl,
+            jobId: body.jobId,
+            status: body.cached ? 'completed' : 'waiting',
+            cached: body.cached,
+            result: body.result
+        });
+    }
+
+    const batchId = uuidv4();
+    const batch = {
+        batchId,
+        createdAt: new Date().toISOString(),
+        submittedBy: apiKey ? apiKey.id : null,
+        options,
+        ...details,
+        items
+    };
+    await redisClient.setex(getBatchKey(batchId), CACHE_TTL_SECONDS, JSON.stringify(batch));
+
+    return batch;
+}
+
+function getBatchSummary(batch) {
+    return {
+        success: true,
+        batchId: batch.batchId,
+        total: batch.items.length,
+        accepted: batch.items.filter(item => item.jobId).length,
+        items: batch.items.map(({ result, ...item }) => item),
+        statusUrl: `/api/batches/${batch.batchId}`
+    };
+}
+
+// Submit many downloads at once; bad URLs are reported per item
+app.post('/api/batches', requireScope('download'), async (req, res) => {
+    try {
+        const { urls, callbackUrl } = req.body;
+
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'urls must be a non-empty array'
+            });
+        }
+
+        if (urls.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: `A batch can contain at most ${MAX_BATCH_SIZE} URLs`
+            });
+        }
+
+        const callbackError = await validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+            return res.status(400).json({
+                success: false,
+                error: callbackError
+            });
+        }
+
+        const { options, error: optionsError } = normalizeDownloadOptions(req.body.options);
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        const batch = await createBatch(urls, {
+            callbackUrl,
+            apiKey: req.apiKey,
+            options
+        });
+
+        res.status(201).json(getBatchSummary(batch));
+
+    } catch (error) {
+        console.error('Error submitting batch:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Aggregate status of a batch
+app.get('/api/batches/:batchId', requireScope('read'), async (req, res) => {
+    try {
+        const data = await redisClient.get(getBatchKey(req.params.batchId));
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch not found'
+            });
+        }
+
+        const batch = JSON.parse(data);
+        const counts = {
+            total: batch.items.length,
+            waiting: 0,
+            active: 0,
+            retrying: 0,
+            completed: 0,
+            failed: 0,
+            cancelled: 0,
+            invalid: 0,
+            rejected: 0
+        };
+
+        const items = [];
+        for (const item of batch.items) {
+            let current = item;
+
+            // Cached items keep the result they were answered with. Batch jobs
+            // always use their jobId in Bull, so a missing one is simply gone.
+            if (item.jobId && !item.cached) {
+                const status = await getJobStatus(item.jobId, { scan: false });
+                current = status
+                    ? { ...item, ...status, jobId: item.jobId }
+                    : { ...item, status: 'failed', error: 'Job no longer exists' };
+            }
+
+            // Bull reports paused jobs separately; they are still waiting
+            const bucket = counts[current.status] !== undefined ? current.status : 'waiting';
+            counts[bucket]++;
+            items.push(current);
+        }
+
+        const details = { ...batch };
+        delete details.items;
+
+        res.json({
+            success: true,
+            ...details,
+            state: getBatchState(counts),
+            counts,
+            items
+        });
+
+    } catch (error) {
+        console.error('Error getting batch status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Stream job progress as Server-Sent Events
+app.get('/api/status/:jobId/events', requireScope('read'), async (req, res) => {
+    const { jobId } = req.params;
+    let heartbeat = null;
+    let finished = false;
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify({ jobId, ...data })}\n\n`);
+    };
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobEvents.removeListener(jobId, listener);
+    };
+
+    const listener = (event, data) => {
+        if (finished) {
+            return;
+        }
+        send(event, data);
+        if (event !== 'progress') {
+            finished = true;
+            cleanup();
+            res.end();
+        }
+    };
+
+    try {
+        const job = await downloadQueue.getJob(jobId);
+        const stored = jobResults.get(jobId);
+
+        if (!job && !stored) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Subscribe before reading the state so a finish in between is not missed
+        jobEvents.on(jobId, listener);
+        req.on('close', cleanup);
+
+        // Cancelled active jobs end up failed in Bull; report them as /api/status does
+        let state = stored ? stored.status : null;
+        if (job) {
+            state = await isJobCancelled(jobId) ? 'cancelled' : await job.getState();
+        }
+
+        if (state === 'completed') {
+            return listener('completed', {
+                status: 'completed',
+                result: job ? job.returnvalue : stored.result
+            });
+        }
+
+        if (state === 'cancelled') {
+            return listener('cancelled', { status: 'cancelled' });
+        }
+
+        if (state === 'failed') {
+            return listener('failed', {
+                status: 'failed',
+                ...(job ? getJobError(job) : {
+                    error: stored.error,
+                    errorCode: stored.errorCode,
+                    logTail: stored.logTail
+                })
+            });
+        }
+
+        // Reported as in /api/status: a delayed job is waiting for its next attempt
+        send('progress', { status: state === 'delayed' ? 'retrying' : state, progress: job.progress() });
+
+        // Keep proxies from closing an idle stream
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    } catch (error) {
+        console.error('Error streaming job events:', error);
+        cleanup();
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+        res.end();
+    }
+});
+
+// Cancel a single job
+app.delete('/api/jobs/:jobId', requireScope('download'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await downloadQueue.getJob(jobId);
+
+        if (!job) {
+            if (await isJobCancelled(jobId)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Job already cancelled'
+                });
+            }
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        // Non-admin keys may only cancel their own jobs
+        if (req.apiKey && !apiKeyService.hasScope(req.apiKey, 'admin') &&
+            job.data.apiKeyId !== req.apiKey.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'Job was submitted with a different API key'
+            });
+        }
+
+        const outcome = await cancelJob(job);
+
+        if (!outcome.cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: `Job already ${outcome.state}`
+            });
+        }
+
+        res.json({
+            success: true,
+            jobId,
+            status: 'cancelled',
+            previousState: outcome.state,
+            cancelledAt: outcome.cancelledAt
+        });
+
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List recent webhook delivery attempts for a job
+app.get('/api/jobs/:jobId/webhooks', requireScope('read'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const attempts = await webhookService.getAttempts(jobId);
+
+        res.json({
+            success: true,
+            jobId,
+            attempts
+        });
+    } catch (error) {
+        console.error('Error listing webhook attempts:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// URL a finished job downloaded, from the queue or, once Bull has dropped the
+// job, from the cache entry pointing at its files
+async function getJobUrl(jobId) {
+    const job = await downloadQueue.getJob(jobId);
+    if (job) {
+        return job.data.url;
+    }
+
+    const cacheKey = await downloadJanitor.getCacheKey(jobId);
+    const cached = cacheKey ? await redisClient.get(cacheKey) : null;
+    return cached ? JSON.parse(cached).url : null;
+}
+
+// Stream the files of a finished job as one ZIP
+app.get('/api/jobs/:jobId/archive', requireScope('read'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!JOB_ID_PATTERN.test(jobId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const status = await getJobStatus(jobId);
+        if (status && status.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                error: `Job is ${status.status}; its archive is available once it has completed`,
+                status: status.status
+            });
+        }
+
+        const outputDir = path.join(DOWNLOADS_DIR, jobId);
+        let available;
+        try {
+            available = await listJobFiles(outputDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            available = [];
+        }
+        if (available.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No files for this job; they may have expired'
+            });
+        }
+
+        const { files, error } = selectArchiveFiles(available, req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        if (files.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No files match the selection'
+            });
+        }
+
+        const url = await getJobUrl(jobId);
+        const info = url ? await musicInfoService.getMusicInfo(url) : null;
+        await downloadJanitor.touch(jobId);
+
+        res.attachment(getArchiveName(info && info.success ? info.data : null, jobId));
+        await streamArchive(outputDir, files, res);
+    } catch (error) {
+        console.error('Error streaming job archive:', error);
+        // Once the ZIP has started, all that is left is to cut the response short
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get queue stats
+app.get('/api/queue/stats', requireScope('read'), async (req, res) => {
+    try {
+        const [waiting, active, completed, failed, delayed] = await Promise.all([
+            downloadQueue.getWaitingCount(),
+            downloadQueue.getActiveCount(),
+            downloadQueue.getCompletedCount(),
+            downloadQueue.getFailedCount(),
+            downloadQueue.getDelayedCount()
+        ]);
 
         res.json({
             success: true,
@@ -396,7 +1868,8 @@ app.get('/api/queue/stats', async (req, res) => {
                 active,
                 completed,
                 failed,
-                total: waiting + active + completed + failed
+                retrying: delayed,
+                total: waiting + active + completed + failed + delayed
             }
         });
     } catch (error) {
@@ -409,7 +1882,7 @@ app.get('/api/queue/stats', async (req, res) => {
 });
 
 // Get cache statistics
-app.get('/api/cache/stats', async (req, res) => {
+app.get('/api/cache/stats', requireScope('read'), async (req, res) => {
     try {
         // Get all cache keys
         const cacheKeys = await redisClient.keys('cache:url:*');
@@ -422,21 +1895,28 @@ app.get('/api/cache/stats', async (req, res) => {
                 const cached = JSON.parse(data);
                 const ttl = await redisClient.ttl(key);
 
-                // Get file size if it exists
-                let fileSize = 0;
-                try {
-                    const filePath = path.join(__dirname, 'downloads', cached.jobId, cached.fileName);
-                    const stats = await fs.stat(filePath);
-                    fileSize = stats.size;
-                    totalSize += fileSize;
-                } catch {
-                    // File doesn't exist
+                // Sum the sizes of the files that still exist
+                const files = getResultFiles(cached);
+                let entrySize = 0;
+                for (const file of files) {
+                    try {
+                        const filePath = path.join(DOWNLOADS_DIR, cached.jobId, file.fileName);
+                        const stats = await fs.stat(filePath);
+                        entrySize += stats.size;
+                    } catch {
+                        // File doesn't exist
+                    }
                 }
+                totalSize += entrySize;
 
                 cacheEntries.push({
-                    url: key.replace('cache:url:', ''),
-                    fileName: cached.fileName,
-                    fileSize,
+                    key: key.replace('cache:url:', ''),
+                    url: cached.url || null,
+                    options: cached.options || {},
+                    jobId: cached.jobId,
+                    fileCount: files.length,
+                    files: files.map(file => file.fileName),
+                    totalSizeBytes: entrySize,
                     cachedAt: cached.cachedAt,
                     ttlSeconds: ttl,
                     expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
@@ -451,6 +1931,7 @@ app.get('/api/cache/stats', async (req, res) => {
                 totalSizeBytes: totalSize,
                 totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
                 cacheTTLDays: CACHE_TTL_DAYS,
+                quota: await downloadJanitor.getUsage(),
                 entries: cacheEntries
             }
         });
@@ -464,7 +1945,7 @@ app.get('/api/cache/stats', async (req, res) => {
 });
 
 // Clear queue and force kill running processes
-app.post('/api/queue/clear', async (req, res) => {
+app.post('/api/queue/clear', requireScope('admin'), async (req, res) => {
     try {
         console.log('Clearing queue, cache, and killing active jobs...');
 
@@ -476,17 +1957,13 @@ app.post('/api/queue/clear', async (req, res) => {
             downloadQueue.getFailedCount()
         ]);
 
-        // Get all active jobs and try to kill their processes
+        // Stop the gamdl process of each active job, wherever it runs
         const activeJobs = await downloadQueue.getActive();
         for (const job of activeJobs) {
             try {
-                // Try to kill any gamdl process that might be running
-                await execAsync('pkill -9 -f gamdl').catch(() => {
-                    // Ignore errors if no process found
-                });
-                console.log(`Killed process for job ${job.data.jobId}`);
+                await cancelJob(job);
             } catch (error) {
-                console.error(`Error killing process for job ${job.data.jobId}:`, error.message);
+                console.error(`Error cancelling job ${job.data.jobId}:`, error.message);
             }
         }
 
@@ -530,66 +2007,393 @@ app.post('/api/queue/clear', async (req, res) => {
     }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        success: true,
-        status: 'healthy',
-        timestamp: new Date().toISOString()
-    });
+// Create an API key; the raw key is only returned here
+app.post('/api/admin/keys', requireScope('admin'), async (req, res) => {
+    try {
+        const { name, scopes, rateLimitPerMinute, dailyDownloadQuota } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'name is required'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => apiKeyService.isValidScope(scope))) {
+            return res.status(400).json({
+                success: false,
+                error: 'scopes must be a non-empty array of read, download or admin'
+            });
+        }
+
+        for (const [field, value] of Object.entries({ rateLimitPerMinute, dailyDownloadQuota })) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a non-negative integer`
+                });
+            }
+        }
+
+        const apiKey = await apiKeyService.createKey({ name, scopes, rateLimitPerMinute, dailyDownloadQuota });
+
+        res.status(201).json({
+            success: true,
+            apiKey
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
-// Cleanup old cached files on startup
-async function cleanupOldCaches() {
+// List API keys (without the keys themselves)
+app.get('/api/admin/keys', requireScope('admin'), async (req, res) => {
     try {
-        const downloadsDir = path.join(__dirname, 'downloads');
-        const entries = await fs.readdir(downloadsDir, { withFileTypes: true });
-        const now = Date.now();
-        let cleaned = 0;
+        const apiKeys = await apiKeyService.listKeys();
+
+        res.json({
+            success: true,
+            apiKeys
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                const dirPath = path.join(downloadsDir, entry.name);
-                const stats = await fs.stat(dirPath);
-                const ageMs = now - stats.mtimeMs;
-                const ageDays = ageMs / (1000 * 60 * 60 * 24);
+// Revoke an API key
+app.delete('/api/admin/keys/:keyId', requireScope('admin'), async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.revokeKey(req.params.keyId);
 
-                if (ageDays > CACHE_TTL_DAYS) {
-                    await fs.rm(dirPath, { recursive: true, force: true });
-                    console.log(`Cleaned up old cache directory: ${entry.name} (${ageDays.toFixed(1)} days old)`);
-                    cleaned++;
-                }
-            }
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
         }
 
-        if (cleaned > 0) {
-            console.log(`✨ Cleaned up ${cleaned} old cache directories`);
+        res.json({
+            success: true,
+            apiKey
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Resolve the account a cookies route is about; /api/admin/cookies is the default account
+async function resolveAccount(req, res, next) {
+    try {
+        const name = req.params.name || 'default';
+        const account = await accountPool.getAccount(name);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account not found'
+            });
         }
+
+        req.account = account;
+        req.cookieManager = accountPool.getCookieManager(name);
+        next();
     } catch (error) {
-        console.error('Error during cache cleanup:', error.message);
+        next(error);
     }
 }
 
+const COOKIES_ROUTES = ['/api/admin/cookies', '/api/admin/accounts/:name/cookies'];
+
+// Upload a Netscape cookies.txt, either as the raw text/plain body or as
+// { "cookies": "..." } in JSON. It replaces the current file after validation.
+app.put(COOKIES_ROUTES, requireScope('admin'), resolveAccount, express.text({ limit: MAX_COOKIES_BYTES }), async (req, res) => {
+    try {
+        const text = typeof req.body === 'string' ? req.body : req.body.cookies;
+
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Send the cookies file as a text/plain body or as a "cookies" string in JSON'
+            });
+        }
+
+        const { error, status } = await req.cookieManager.save(text);
+
+        if (error) {
+            return res.status(422).json({
+                success: false,
+                error
+            });
+        }
+
+        // Fresh cookies put a benched account back into rotation
+        await accountPool.unbench(req.account.name);
+
+        console.log(`🍪 Cookies replaced for account ${req.account.name} (media-user-token expires ${status.mediaUserToken.expiresAt || 'unknown'})`);
+        res.json({
+            success: true,
+            account: req.account.name,
+            cookies: status
+        });
+    } catch (error) {
+        console.error('Error saving cookies:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Metadata of the cookies file in use; cookie values are never returned
+app.get(COOKIES_ROUTES, requireScope('admin'), resolveAccount, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            account: req.account.name,
+            cookies: await req.cookieManager.getStatus()
+        });
+    } catch (error) {
+        console.error('Error reading cookies:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete the uploaded cookies file
+app.delete(COOKIES_ROUTES, requireScope('admin'), resolveAccount, async (req, res) => {
+    try {
+        const removed = await req.cookieManager.remove();
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'No uploaded cookies file'
+            });
+        }
+
+        // A file in an older location may still be in use afterwards
+        res.json({
+            success: true,
+            account: req.account.name,
+            cookies: await req.cookieManager.getStatus()
+        });
+    } catch (error) {
+        console.error('Error deleting cookies:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List account profiles with their cookie state, running jobs and bench status
+app.get('/api/admin/accounts', requireScope('admin'), async (req, res) => {
+    try {
+        const accounts = [];
+        for (const account of await accountPool.listAccounts()) {
+            accounts.push(await accountPool.describe(account));
+        }
+
+        res.json({
+            success: true,
+            selection: ACCOUNT_SELECTION,
+            accounts
+        });
+    } catch (error) {
+        console.error('Error listing accounts:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Create or update an account profile; upload its cookies separately
+app.put('/api/admin/accounts/:name', requireScope('admin'), async (req, res) => {
+    try {
+        const { storefront, maxConcurrency } = req.body;
+        const profile = { name: req.params.name, storefront, maxConcurrency };
+        const validationError = accountPool.validateProfile(profile);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const account = await accountPool.saveAccount(profile);
+
+        res.json({
+            success: true,
+            account: await accountPool.describe(account)
+        });
+    } catch (error) {
+        console.error('Error saving account:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete an account profile and its cookies. The default account is only reset.
+app.delete('/api/admin/accounts/:name', requireScope('admin'), async (req, res) => {
+    try {
+        const removed = await accountPool.removeAccount(req.params.name);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account not found'
+            });
+        }
+
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Run the download janitor now; ?dryRun=true only reports what would be deleted
+app.post('/api/admin/janitor/sweep', requireScope('admin'), async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+        const sweep = await downloadJanitor.sweep({ dryRun });
+
+        res.json({
+            success: true,
+            ...sweep
+        });
+    } catch (error) {
+        console.error('Error running janitor sweep:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+    const warnings = [];
+    const accounts = [];
+
+    // Account and cookie detail stays behind /api/admin/accounts; this route is open
+    try {
+        for (const account of await accountPool.listAccounts()) {
+            accounts.push(await accountPool.describe(account));
+        }
+    } catch (error) {
+        warnings.push(`Could not read Apple Music accounts: ${error.message}`);
+    }
+
+    for (const account of accounts) {
+        const { status, mediaUserToken } = account.cookies;
+        if (account.benchedUntil) {
+            warnings.push(`Account ${account.name} is benched`);
+        }
+        if (status === 'expiring') {
+            warnings.push(`Cookies of account ${account.name} expire at ${mediaUserToken.expiresAt}`);
+        } else if (status === 'expired' || status === 'invalid') {
+            warnings.push(`Cookies of account ${account.name} are ${status}`);
+        }
+    }
+
+    const usable = accounts.some(account => !account.benchedUntil && ['ok', 'expiring'].includes(account.cookies.status));
+    if (accounts.length > 0 && !usable) {
+        warnings.push('No Apple Music account has usable cookies; downloads will fail until new ones are uploaded');
+    }
+
+    res.json({
+        success: true,
+        status: warnings.length > 0 ? 'degraded' : 'healthy',
+        timestamp: new Date().toISOString(),
+        warnings,
+        appleMusicToken: tokenManager.getStatus()
+    });
+});
+
 // Start server
 app.listen(PORT, async () => {
     console.log(`🚀 GAMDL API Server running on port ${PORT}`);
     console.log(`🎵 Get info: GET /get-info?url=<apple_music_url>`);
+    console.log(`🏷️  Lookup: GET /api/lookup?isrc=<isrc>|upc=<upc>&storefront=us`);
+    console.log(`🌍 Availability: GET /api/availability?url=<apple_music_url>&storefronts=all`);
+    console.log(`🔎 Search: GET /api/search?term=<text>&types=songs,albums&storefront=us`);
+    console.log(`🖼️  Artwork: GET /api/artwork?url=<apple_music_url>&size=1200&format=jpg|png|webp`);
+    console.log(`📝 Lyrics: GET /api/lyrics?url=<song_url>&format=ttml|lrc|text`);
     console.log(`📥 Submit downloads: POST /api/download`);
     console.log(`📊 Check status: GET /api/status/:jobId`);
+    console.log(`📡 Live progress: GET /api/status/:jobId/events`);
+    console.log(`📦 Batches: POST /api/batches, GET /api/batches/:batchId`);
+    console.log(`🛑 Cancel job: DELETE /api/jobs/:jobId`);
+    console.log(`🔔 Webhook attempts: GET /api/jobs/:jobId/webhooks`);
+    console.log(`🗜️  Job archive: GET /api/jobs/:jobId/archive`);
     console.log(`📈 Queue stats: GET /api/queue/stats`);
     console.log(`💾 Cache stats: GET /api/cache/stats`);
     console.log(`🗑️  Clear queue: POST /api/queue/clear`);
+    console.log(`🔑 API keys: POST/GET /api/admin/keys, DELETE /api/admin/keys/:keyId`);
+    console.log(`🍪 Cookies: PUT/GET/DELETE /api/admin/cookies`);
+    console.log(`👥 Accounts: GET /api/admin/accounts, PUT/DELETE /api/admin/accounts/:name[/cookies]`);
+    console.log(`🧹 Janitor sweep: POST /api/admin/janitor/sweep`);
     console.log(`⏱️  Cache TTL: ${CACHE_TTL_DAYS} days`);
     console.log(`⚡ Queue concurrency: ${QUEUE_CONCURRENCY} workers`);
 
-    // Run cleanup on startup
-    await cleanupOldCaches();
+    if (AUTH_DISABLED) {
+        console.warn('⚠️  AUTH_DISABLED=true: every route is open without an API key');
+    } else if (!process.env.ADMIN_API_KEY) {
+        console.warn('⚠️  ADMIN_API_KEY is not set: only keys already stored in Redis can authenticate');
+    }
+
+    try {
+        const accounts = await accountPool.getEligibleAccounts();
+        if (accounts.length === 0) {
+            console.warn('⚠️  No Apple Music account has usable cookies; upload some with PUT /api/admin/cookies');
+        } else {
+            console.log(`👥 Apple Music accounts: ${accounts.map(account => account.name).join(', ')} (selection: ${ACCOUNT_SELECTION})`);
+        }
+    } catch (error) {
+        console.error('Error loading Apple Music accounts:', error.message);
+    }
+
+    // Migrate cache keys, then sweep once now and periodically after that
+    await migrateLegacyCacheKeys();
+    try {
+        await downloadJanitor.sweep();
+    } catch (error) {
+        console.error('Error during startup sweep:', error.message);
+    }
+    downloadJanitor.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, closing server gracefully...');
+    downloadJanitor.stop();
     await downloadQueue.close();
+    await webhookQueue.close();
+    await redisSubscriber.quit();
     await redisClient.quit();
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ApiKeyService = require('../lib/apiKeyService');
+
+// The Redis commands the service uses, over in-memory strings and sets
+function createRedisStub() {
+    const strings = new Map();
+    const sets = new Map();
+
+    const commands = {
+        async get(key) {
+            return strings.has(key) ? strings.get(key) : null;
+        },
+        async set(key, value) {
+            strings.set(key, String(value));
+            return 'OK';
+        },
+        async del(key) {
+            return strings.delete(key) ? 1 : 0;
+        },
+        async incr(key) {
+            const value = parseInt(strings.get(key) || '0', 10) + 1;
+            strings.set(key, String(value));
+            return value;
+        },
+        async decr(key) {
+            const value = parseInt(strings.get(key) || '0', 10) - 1;
+            strings.set(key, String(value));
+            return value;
+        },
+        async expire() {
+            return 1;
+        },
+        async sadd(key, member) {
+            const set = sets.get(key) || sets.set(key, new Set()).get(key);
+            set.add(member);
+            return 1;
+        },
+        async smembers(key) {
+            return [...(sets.get(key) || [])];
+        }
+    };
+
+    return {
+        ...commands,
+        multi() {
+            const queued = [];
+            const chain = new Proxy({}, {
+                get: (target, name) => name === 'exec'
+                    ? async () => {
+                        const results = [];
+                        for (const [command, args] of queued) {
+                            results.push([null, await commands[command](...args)]);
+                        }
+                        return results;
+                    }
+                    : (...args) => {
+                        queued.push([name, args]);
+                        return chain;
+                    }
+            });
+            return chain;
+        }
+    };
+}
+
+test('authenticate accepts live keys and the bootstrap admin key only', async () => {
+    const service = new ApiKeyService(createRedisStub(), 'bootstrap-secret');
+    const created = await service.createKey({ name: 'client', scopes: ['read'] });
+    const revoked = await service.createKey({ name: 'old client', scopes: ['download'] });
+    await service.revokeKey(revoked.id);
+
+    const authenticated = await service.authenticate(created.key);
+    assert.strictEqual(authenticated.id, created.id);
+    assert.deepStrictEqual(authenticated.scopes, ['read']);
+
+    assert.strictEqual(await service.authenticate(revoked.key), null);
+    assert.strictEqual(await service.authenticate('gamdl_unknown'), null);
+    assert.strictEqual(await service.authenticate(undefined), null);
+
+    const admin = await service.authenticate('bootstrap-secret');
+    assert.strictEqual(admin.id, 'bootstrap-admin');
+    assert.deepStrictEqual(admin.scopes, ['admin']);
+});
+
+test('without ADMIN_API_KEY there is no bootstrap key', async () => {
+    const service = new ApiKeyService(createRedisStub(), undefined);
+    assert.strictEqual(await service.authenticate('bootstrap-secret'), null);
+});
+
+test('admin grants every scope and download implies read', () => {
+    const service = new ApiKeyService(null);
+
+    for (const scope of ['read', 'download', 'admin']) {
+        assert.strictEqual(service.hasScope({ scopes: ['admin'] }, scope), true, scope);
+    }
+    assert.strictEqual(service.hasScope({ scopes: ['download'] }, 'read'), true);
+    assert.strictEqual(service.hasScope({ scopes: ['download'] }, 'admin'), false);
+    assert.strictEqual(service.hasScope({ scopes: ['read'] }, 'download'), false);
+    assert.strictEqual(service.hasScope({ scopes: ['read'] }, 'admin'), false);
+});
+
+test('the rate limit counts requests per fixed one-minute window', async (t) => {
+    const service = new ApiKeyService(createRedisStub());
+    const apiKey = { id: 'key-1', rateLimitPerMinute: 2 };
+    let now = Date.UTC(2025, 0, 1, 12, 0, 15);
+    t.mock.method(Date, 'now', () => now);
+
+    assert.deepStrictEqual(await service.consumeRateLimit(apiKey), {
+        allowed: true,
+        limit: 2,
+        remaining: 1,
+        retryAfterSeconds: 45
+    });
+    assert.strictEqual((await service.consumeRateLimit(apiKey)).allowed, true);
+    const limited = await service.consumeRateLimit(apiKey);
+    assert.strictEqual(limited.allowed, false);
+    assert.strictEqual(limited.remaining, 0);
+
+    // The next minute starts a new window
+    now += 60 * 1000;
+    assert.strictEqual((await service.consumeRateLimit(apiKey)).allowed, true);
+
+    assert.strictEqual((await service.consumeRateLimit({ id: 'key-2', rateLimitPerMinute: 0 })).allowed, true);
+});
+
+test('a refused download gives its quota slot back', async () => {
+    const redisClient = createRedisStub();
+    const service = new ApiKeyService(redisClient);
+    const apiKey = { id: 'key-1', dailyDownloadQuota: 2 };
+
+    assert.deepStrictEqual(await service.consumeDownloadQuota(apiKey), { allowed: true, used: 1, quota: 2 });
+    assert.deepStrictEqual(await service.consumeDownloadQuota(apiKey), { allowed: true, used: 2, quota: 2 });
+    assert.deepStrictEqual(await service.consumeDownloadQuota(apiKey), { allowed: false, used: 2, quota: 2 });
+    assert.deepStrictEqual(await service.consumeDownloadQuota(apiKey), { allowed: false, used: 2, quota: 2 });
+    assert.strictEqual(await service.getDownloadsToday('key-1'), 2);
+
+    const unlimited = { id: 'key-2', dailyDownloadQuota: 0 };
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await service.consumeDownloadQuota(unlimited)).allowed, true);
+    }
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fillArtworkTemplate, getArtworkUrls } = require('../lib/artwork');
+const ArtworkCache = require('../lib/artworkCache');
+
+const TEMPLATE = 'https://is1-ssl.mzstatic.com/image/thumb/Music116/v4/aa/bb/cc/source/{w}x{h}bb.jpg';
+
+test('fills in size and format', () => {
+    const artwork = { url: TEMPLATE, width: 3000, height: 3000 };
+
+    assert.strictEqual(
+        fillArtworkTemplate(artwork, 600, 'webp'),
+        'https://is1-ssl.mzstatic.com/image/thumb/Music116/v4/aa/bb/cc/source/600x600bb.webp'
+    );
+    assert.strictEqual(
+        fillArtworkTemplate({ url: 'https://is1-ssl.mzstatic.com/image/thumb/x/{w}x{h}{c}.{f}' }, 300, 'png'),
+        'https://is1-ssl.mzstatic.com/image/thumb/x/300x300bb.png'
+    );
+});
+
+test('keeps the aspect ratio of wide artwork', () => {
+    const artwork = { url: TEMPLATE, width: 1920, height: 1080 };
+    assert.match(fillArtworkTemplate(artwork, 1280), /\/1280x720bb\.jpg$/);
+});
+
+test('offers common sizes up to the original', () => {
+    assert.deepStrictEqual(Object.keys(getArtworkUrls({ url: TEMPLATE, width: 1400, height: 1400 })), ['100', '300', '600', '1200']);
+    assert.deepStrictEqual(Object.keys(getArtworkUrls({ url: TEMPLATE, width: 64, height: 64 })), ['64']);
+    assert.match(getArtworkUrls({ url: TEMPLATE })[3000], /\/3000x3000bb\.jpg$/);
+});
+
+test('cached images expire after the TTL', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artwork-'));
+    const cache = new ArtworkCache(dir, { ttlSeconds: 60 });
+
+    try {
+        fs.writeFileSync(path.join(dir, 'album-1-600.jpg'), 'fresh');
+        fs.writeFileSync(path.join(dir, 'album-2-600.jpg'), 'stale');
+        const old = new Date(Date.now() - 120 * 1000);
+        fs.utimesSync(path.join(dir, 'album-2-600.jpg'), old, old);
+
+        assert.strictEqual(await cache.get('album-1-600.jpg'), path.join(dir, 'album-1-600.jpg'));
+        assert.strictEqual(await cache.get('album-2-600.jpg'), null);
+        assert.strictEqual(await cache.get('album-3-600.jpg'), null);
+
+        assert.deepStrictEqual(await cache.sweep(Date.now(), true), ['album-2-600.jpg']);
+        assert.deepStrictEqual(await cache.sweep(), ['album-2-600.jpg']);
+        assert.deepStrictEqual(fs.readdirSync(dir), ['album-1-600.jpg']);
+        await assert.rejects(cache.fetch('x.jpg', 'https://example.com/x.jpg'), /Refusing to fetch artwork/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('evicts the oldest images first', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artwork-'));
+    const cache = new ArtworkCache(dir, { ttlSeconds: 60 });
+
+    try {
+        ['album-1-600.jpg', 'album-2-600.jpg', 'album-3-600.jpg'].forEach((fileName, index) => {
+            fs.writeFileSync(path.join(dir, fileName), 'x'.repeat(100));
+            const mtime = new Date(Date.now() - (3 - index) * 1000);
+            fs.utimesSync(path.join(dir, fileName), mtime, mtime);
+        });
+
+        assert.strictEqual(await cache.getUsedBytes(), 300);
+        assert.deepStrictEqual(await cache.evict(150), {
+            removed: ['album-1-600.jpg', 'album-2-600.jpg'],
+            freedBytes: 200
+        });
+        assert.deepStrictEqual(fs.readdirSync(dir), ['album-3-600.jpg']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,27 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CatalogCache = require('../lib/catalogCache');
+
+const catalogCache = new CatalogCache(null);
+
+afterEach(() => {
+    delete process.env.CATALOG_CACHE_TTL_PLAYLIST;
+    delete process.env.CATALOG_CACHE_TTL_MUSIC_VIDEO;
+});
+
+test('caches catalog types but never library items', () => {
+    for (const type of ['song', 'album', 'playlist', 'artist', 'music-video', 'uploaded-video']) {
+        assert.strictEqual(catalogCache.isCacheable(type), true, type);
+    }
+    assert.strictEqual(catalogCache.isCacheable('library-album'), false);
+    assert.strictEqual(catalogCache.isCacheable('library-playlist'), false);
+});
+
+test('a TTL of 0 turns caching off for one type', () => {
+    process.env.CATALOG_CACHE_TTL_PLAYLIST = '0';
+    process.env.CATALOG_CACHE_TTL_MUSIC_VIDEO = '60';
+
+    assert.strictEqual(catalogCache.isCacheable('playlist'), false);
+    assert.strictEqual(catalogCache.isCacheable('music-video'), true);
+    assert.strictEqual(catalogCache.getKey('gb', 'song', '1624945512'), 'catalog:gb:song:1624945512');
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CookieManager = require('../lib/cookieManager');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+let dir;
+
+function cookieLine(domain, name, value, expiresInSeconds) {
+    const expires = expiresInSeconds === 0 ? 0 : Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return [domain, 'TRUE', '/', 'TRUE', expires, name, value].join('\t');
+}
+
+function cookiesFile(...lines) {
+    return ['# Netscape HTTP Cookie File', '', ...lines].join('\n');
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookies-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('accepts a file with a media-user-token and reports its expiry', async () => {
+    const manager = new CookieManager(path.join(dir, 'cookies.txt'));
+    const { error, status } = await manager.save(cookiesFile(
+        cookieLine('.music.apple.com', 'media-user-token', 'secret', 90 * DAY_SECONDS),
+        `#HttpOnly_${cookieLine('.apple.com', 'myacinfo', 'other', 0)}`
+    ));
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(status.status, 'ok');
+    assert.strictEqual(status.cookieCount, 2);
+    assert.strictEqual(status.mediaUserToken.present, true);
+    assert.strictEqual(status.mediaUserToken.expiresInDays, 89);
+    assert.ok(!JSON.stringify(status).includes('secret'));
+    assert.strictEqual(await manager.getPath(), path.join(dir, 'cookies.txt'));
+});
+
+test('rejects files without a usable media-user-token', async () => {
+    const manager = new CookieManager(path.join(dir, 'cookies.txt'));
+
+    let result = await manager.save(cookiesFile(cookieLine('.apple.com', 'media-user-token', 'x', DAY_SECONDS)));
+    assert.match(result.error, /No media-user-token/);
+
+    result = await manager.save(cookiesFile(cookieLine('.music.apple.com', 'media-user-token', 'x', -DAY_SECONDS)));
+    assert.match(result.error, /expired/);
+
+    result = await manager.save('not a cookies file');
+    assert.match(result.error, /No media-user-token/);
+
+    assert.strictEqual(await manager.getPath(), null);
+});
+
+test('warns when the token expires soon', async () => {
+    const manager = new CookieManager(path.join(dir, 'cookies.txt'));
+    const { status } = await manager.save(cookiesFile(
+        cookieLine('music.apple.com', 'media-user-token', 'x', 2 * DAY_SECONDS)
+    ));
+
+    assert.strictEqual(status.status, 'expiring');
+});
+
+test('reloads the file when it changes and falls back to older locations', async () => {
+    const legacyPath = path.join(dir, 'legacy-cookies.txt');
+    fs.writeFileSync(legacyPath, cookiesFile(cookieLine('.music.apple.com', 'media-user-token', 'x', 0)));
+
+    const manager = new CookieManager(path.join(dir, 'cookies.txt'), [legacyPath]);
+    let status = await manager.getStatus();
+    assert.strictEqual(status.path, legacyPath);
+    assert.strictEqual(status.readOnly, true);
+    assert.strictEqual(status.mediaUserToken.expiresAt, null);
+
+    // Written by another replica sharing the volume
+    fs.writeFileSync(path.join(dir, 'cookies.txt'), cookiesFile(
+        cookieLine('.music.apple.com', 'media-user-token', 'x', 30 * DAY_SECONDS),
+        cookieLine('.music.apple.com', 'itua', 'us', 30 * DAY_SECONDS)
+    ));
+    status = await manager.getStatus();
+    assert.strictEqual(status.path, path.join(dir, 'cookies.txt'));
+    assert.strictEqual(status.cookieCount, 2);
+
+    assert.strictEqual(await manager.remove(), true);
+    assert.strictEqual(await manager.remove(), false);
+    assert.strictEqual(await manager.getPath(), legacyPath);
+});
+
+test('hands out credentials only for usable cookies', async () => {
+    const manager = new CookieManager(path.join(dir, 'cookies.txt'));
+    assert.strictEqual(await manager.getCredentials(), null);
+
+    await manager.save(cookiesFile(
+        cookieLine('.music.apple.com', 'media-user-token', 'secret', 30 * DAY_SECONDS),
+        cookieLine('.apple.com', 'myacinfo', 'info', 0),
+        cookieLine('.apple.com', 'stale', 'old', -DAY_SECONDS),
+        cookieLine('.example.com', 'other', 'x', 0)
+    ));
+    assert.deepStrictEqual(await manager.getCredentials(), {
+        mediaUserToken: 'secret',
+        cookieHeader: 'media-user-token=secret; myacinfo=info'
+    });
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DownloadCache = require('../lib/downloadCache');
+const MusicInfoService = require('../lib/musicInfoService');
+
+// Just the commands the migration uses, over an in-memory map
+function createRedisStub(entries) {
+    const store = new Map(Object.entries(entries));
+    return {
+        store,
+        async keys(pattern) {
+            const prefix = pattern.replace(/\*$/, '');
+            return [...store.keys()].filter(key => key.startsWith(prefix));
+        },
+        async del(key) {
+            return store.delete(key) ? 1 : 0;
+        },
+        async renamenx(key, newKey) {
+            if (store.has(newKey)) {
+                return 0;
+            }
+            store.set(newKey, store.get(key));
+            store.delete(key);
+            return 1;
+        }
+    };
+}
+
+const downloadCache = new DownloadCache(null, new MusicInfoService());
+
+test('songs share a key whether linked from their album or directly', () => {
+    assert.strictEqual(
+        downloadCache.getKey('https://music.apple.com/us/album/never-gonna-give-you-up/1624945511?i=1624945512'),
+        'cache:url:song:1624945512'
+    );
+    assert.strictEqual(
+        downloadCache.getKey('https://music.apple.com/us/song/1624945512'),
+        'cache:url:song:1624945512'
+    );
+});
+
+test('storefronts and slugs share a key', () => {
+    const key = downloadCache.getKey('https://music.apple.com/us/album/whenever-you-need-somebody/1624945511');
+    assert.strictEqual(key, 'cache:url:album:1624945511');
+    assert.strictEqual(downloadCache.getKey('https://music.apple.com/gb/album/1624945511'), key);
+    assert.strictEqual(downloadCache.getKey('https://music.apple.com/jp/album/other-slug/1624945511?l=en'), key);
+});
+
+test('user playlist and library ids keep their case', () => {
+    assert.strictEqual(
+        downloadCache.getKey('https://music.apple.com/us/playlist/mix/pl.u-AbCdEf'),
+        'cache:url:playlist:pl.u-AbCdEf'
+    );
+    assert.notStrictEqual(
+        downloadCache.getKey('https://music.apple.com/us/playlist/mix/pl.u-AbCdEf'),
+        downloadCache.getKey('https://music.apple.com/us/playlist/mix/pl.u-abcdef')
+    );
+    assert.strictEqual(
+        downloadCache.getKey('https://music.apple.com/us/library/playlist/p.XyZ'),
+        'cache:url:library-playlist:p.XyZ'
+    );
+    assert.strictEqual(
+        downloadCache.getKey('https://music.apple.com/us/library/albums/l.XyZ'),
+        'cache:url:library-album:l.XyZ'
+    );
+});
+
+test('each set of options gets its own key', () => {
+    const url = 'https://music.apple.com/us/album/1624945511';
+    const alac = downloadCache.getKey(url, { codec: 'alac' });
+    const aac = downloadCache.getKey(url, { codec: 'aac-legacy' });
+
+    assert.match(alac, /^cache:url:album:1624945511:opts-[0-9a-f]{16}$/);
+    assert.notStrictEqual(alac, aac);
+    assert.strictEqual(
+        downloadCache.getKey(url, { codec: 'alac', coverSize: 3000 }),
+        downloadCache.getKey(url, { coverSize: 3000, codec: 'alac' })
+    );
+    assert.strictEqual(downloadCache.getKey(url, { codec: undefined }), downloadCache.getKey(url));
+    assert.strictEqual(downloadCache.getKey('https://example.com/album/1'), null);
+});
+
+test('legacy keys are migrated unless their id is case-sensitive', async () => {
+    const redisClient = createRedisStub({
+        'cache:url:https://music.apple.com/us/album/x/1624945511?i=1624945512': 'song',
+        'cache:url:https://music.apple.com/us/album/1624945511': 'album',
+        'cache:url:https://music.apple.com/us/playlist/mix/pl.u-abcdef': 'user playlist',
+        'cache:url:https://music.apple.com/us/library/albums/l.xyz': 'library album',
+        'cache:url:https://music.apple.com/us/curator/someone/123': 'unknown',
+        'cache:url:https://music.apple.com/gb/album/1624945511': 'album, other storefront',
+        'cache:url:song:999': 'already migrated'
+    });
+    const cache = new DownloadCache(redisClient, new MusicInfoService());
+
+    assert.deepStrictEqual(await cache.migrateLegacyKeys(), { migrated: 2, dropped: 4 });
+    assert.deepStrictEqual([...redisClient.store.keys()].sort(), [
+        'cache:url:album:1624945511',
+        'cache:url:song:1624945512',
+        'cache:url:song:999'
+    ]);
+    assert.strictEqual(redisClient.store.get('cache:url:song:1624945512'), 'song');
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseFileName, matchCatalogTrack } = require('../lib/downloadFiles');
+
+function match(fileName, tracks) {
+    const track = matchCatalogTrack(fileName, parseFileName(fileName), tracks);
+    return track ? track.id : null;
+}
+
+test('parseFileName reads disc and track numbers from gamdl templates', () => {
+    assert.deepStrictEqual(parseFileName('Artist/Album/07 Song Title.m4a'), {
+        trackNumber: 7,
+        discNumber: 1,
+        title: 'Song Title'
+    });
+    assert.deepStrictEqual(parseFileName('Artist/Album/2-01 Song Title.m4a'), {
+        trackNumber: 1,
+        discNumber: 2,
+        title: 'Song Title'
+    });
+    assert.deepStrictEqual(parseFileName('Artist/Album/Song Title.m4a'), {
+        trackNumber: null,
+        discNumber: null,
+        title: 'Song Title'
+    });
+});
+
+test('tells discs of a multi-disc album apart', () => {
+    const tracks = [
+        { id: '101', name: 'Opening', albumName: 'Live', trackNumber: 1, discNumber: 1 },
+        { id: '102', name: 'Second', albumName: 'Live', trackNumber: 2, discNumber: 1 },
+        { id: '201', name: 'Encore', albumName: 'Live', trackNumber: 1, discNumber: 2 }
+    ];
+
+    assert.strictEqual(match('Band/Live/1-01 Opening.m4a', tracks), '101');
+    assert.strictEqual(match('Band/Live/2-01 Encore.m4a', tracks), '201');
+    assert.strictEqual(match('Band/Live/1-02 Second.m4a', tracks), '102');
+});
+
+test('uses the album directory when playlist tracks share a number', () => {
+    const tracks = [
+        { id: '1', name: 'Intro', albumName: 'First Album', trackNumber: 1, discNumber: 1 },
+        { id: '2', name: 'Intro', albumName: 'Second Album', trackNumber: 1, discNumber: 1 }
+    ];
+
+    assert.strictEqual(match('Various/First Album/01 Intro.m4a', tracks), '1');
+    assert.strictEqual(match('Various/Second Album/01 Intro.m4a', tracks), '2');
+});
+
+test('falls back to the title when the file name has no track number', () => {
+    const tracks = [
+        { id: '1', name: 'Never Gonna Give You Up', albumName: 'Whenever You Need Somebody', trackNumber: 1 },
+        { id: '2', name: 'Whenever You Need Somebody', albumName: 'Whenever You Need Somebody', trackNumber: 2 }
+    ];
+
+    assert.strictEqual(match('Rick Astley/Whenever You Need Somebody/Whenever You Need Somebody.m4a', tracks), '2');
+    assert.strictEqual(match('Rick Astley/Album/01 Song.m4a', []), null);
+});
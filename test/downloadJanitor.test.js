@@ -0,0 +1,249 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DownloadJanitor = require('../lib/downloadJanitor');
+const ArtworkCache = require('../lib/artworkCache');
+
+const TTL_SECONDS = 60;
+
+// The Redis commands the janitor uses, over in-memory strings, hashes and sorted sets
+function createRedisStub() {
+    const strings = new Map();
+    const hashes = new Map();
+    const sortedSets = new Map();
+
+    const hash = key => hashes.get(key) || hashes.set(key, new Map()).get(key);
+    const sortedSet = key => sortedSets.get(key) || sortedSets.set(key, new Map()).get(key);
+    const byScore = key => [...sortedSet(key)].sort((a, b) => a[1] - b[1]);
+
+    const commands = {
+        async get(key) {
+            return strings.has(key) ? strings.get(key) : null;
+        },
+        async set(key, value, ...args) {
+            if (args.includes('NX') && strings.has(key)) {
+                return null;
+            }
+            strings.set(key, String(value));
+            return 'OK';
+        },
+        async del(key) {
+            return strings.delete(key) ? 1 : 0;
+        },
+        async hget(key, field) {
+            return hash(key).has(field) ? hash(key).get(field) : null;
+        },
+        async hset(key, field, value) {
+            hash(key).set(field, String(value));
+            return 1;
+        },
+        async hdel(key, field) {
+            return hash(key).delete(field) ? 1 : 0;
+        },
+        async hvals(key) {
+            return [...hash(key).values()];
+        },
+        async hgetall(key) {
+            return Object.fromEntries(hash(key));
+        },
+        async hincrby(key, field, increment) {
+            const value = parseInt(hash(key).get(field) || '0', 10) + increment;
+            hash(key).set(field, String(value));
+            return value;
+        },
+        async zadd(key, ...args) {
+            const onlyExisting = args[0] === 'XX';
+            const [score, member] = onlyExisting ? args.slice(1) : args;
+            if (onlyExisting && !sortedSet(key).has(member)) {
+                return 0;
+            }
+            sortedSet(key).set(member, Number(score));
+            return 1;
+        },
+        async zrem(key, member) {
+            return sortedSet(key).delete(member) ? 1 : 0;
+        },
+        async zscore(key, member) {
+            return sortedSet(key).has(member) ? String(sortedSet(key).get(member)) : null;
+        },
+        async zrange(key, start, stop) {
+            return byScore(key).slice(start, stop + 1).map(([member]) => member);
+        },
+        async zrangebyscore(key, min, max) {
+            return byScore(key).filter(([, score]) => score >= min && score <= max).map(([member]) => member);
+        }
+    };
+
+    return {
+        ...commands,
+        multi() {
+            const queued = [];
+            const chain = new Proxy({}, {
+                get: (target, name) => name === 'exec'
+                    ? async () => {
+                        const results = [];
+                        for (const [command, args] of queued) {
+                            results.push([null, await commands[command](...args)]);
+                        }
+                        return results;
+                    }
+                    : (...args) => {
+                        queued.push([name, args]);
+                        return chain;
+                    }
+            });
+            return chain;
+        }
+    };
+}
+
+let downloadsDir;
+let redisClient;
+
+function createJanitor(options = {}) {
+    return new DownloadJanitor(redisClient, downloadsDir, { ttlSeconds: TTL_SECONDS, intervalMs: 60000, ...options });
+}
+
+function createJobDir(jobId, ageSeconds = 0) {
+    const dir = path.join(downloadsDir, jobId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '01 Song.m4a'), 'audio');
+    if (ageSeconds) {
+        const mtime = new Date(Date.now() - ageSeconds * 1000);
+        fs.utimesSync(dir, mtime, mtime);
+    }
+    return dir;
+}
+
+beforeEach(() => {
+    downloadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'janitor-'));
+    redisClient = createRedisStub();
+});
+
+afterEach(() => {
+    fs.rmSync(downloadsDir, { recursive: true, force: true });
+});
+
+test('expired jobs are removed with their cache entry and claimed exactly once', async () => {
+    const now = Date.now();
+    const janitor = createJanitor();
+
+    for (const jobId of ['expired-1', 'expired-2', 'fresh']) {
+        createJobDir(jobId);
+        await redisClient.set(`cache:url:album:${jobId}`, JSON.stringify({ jobId }));
+        await janitor.track(jobId, `cache:url:album:${jobId}`, jobId === 'fresh' ? now + 60000 : now - 1000, 5);
+    }
+
+    // Two replicas sharing Redis and the volume sweep at the same time
+    const [first, second] = await Promise.all([
+        janitor.sweepExpired(now, false),
+        createJanitor().sweepExpired(now, false)
+    ]);
+
+    assert.deepStrictEqual([...first, ...second].sort(), ['expired-1', 'expired-2']);
+    assert.deepStrictEqual(fs.readdirSync(downloadsDir), ['fresh']);
+    assert.strictEqual(await redisClient.get('cache:url:album:expired-1'), null);
+    assert.notStrictEqual(await redisClient.get('cache:url:album:fresh'), null);
+    assert.deepStrictEqual(await createJanitor().sweepExpired(now, false), []);
+});
+
+test('removeJob leaves a cache entry that points at a newer job alone', async () => {
+    const janitor = createJanitor();
+    createJobDir('old-job');
+    createJobDir('new-job');
+    await janitor.track('old-job', 'cache:url:album:1', Date.now(), 5);
+    await redisClient.set('cache:url:album:1', JSON.stringify({ jobId: 'new-job' }));
+
+    await janitor.removeJob('old-job');
+
+    assert.deepStrictEqual(fs.readdirSync(downloadsDir), ['new-job']);
+    assert.deepStrictEqual(JSON.parse(await redisClient.get('cache:url:album:1')), { jobId: 'new-job' });
+    assert.strictEqual(await janitor.getExpiry('old-job'), null);
+    assert.strictEqual(await janitor.getCacheKey('old-job'), null);
+});
+
+test('orphaned directories are removed only after the TTL, never the artwork cache', async () => {
+    const artworkCache = new ArtworkCache(path.join(downloadsDir, '_artwork'), { ttlSeconds: 3600 });
+    const janitor = createJanitor({ artworkCache });
+
+    createJobDir('orphan-old', TTL_SECONDS * 2);
+    createJobDir('orphan-new');
+    createJobDir('tracked-old', TTL_SECONDS * 2);
+    await janitor.track('tracked-old', 'cache:url:album:2', Date.now() + 60000, 5);
+    fs.mkdirSync(path.join(downloadsDir, '_artwork'));
+    fs.writeFileSync(path.join(downloadsDir, '_artwork', 'album-1-600.jpg'), 'image');
+    const old = new Date(Date.now() - TTL_SECONDS * 2 * 1000);
+    fs.utimesSync(path.join(downloadsDir, '_artwork'), old, old);
+
+    assert.deepStrictEqual(await janitor.sweepOrphans(Date.now(), false), ['orphan-old']);
+    assert.deepStrictEqual(fs.readdirSync(downloadsDir).sort(), ['_artwork', 'orphan-new', 'tracked-old']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(downloadsDir, '_artwork')), ['album-1-600.jpg']);
+});
+
+test('a dry run reports what would go and deletes nothing', async () => {
+    const janitor = createJanitor();
+    createJobDir('expired', TTL_SECONDS * 2);
+    createJobDir('orphan', TTL_SECONDS * 2);
+    await redisClient.set('cache:url:album:3', JSON.stringify({ jobId: 'expired' }));
+    await janitor.track('expired', 'cache:url:album:3', Date.now() - 1000, 5);
+
+    const result = await janitor.sweep({ dryRun: true });
+
+    assert.strictEqual(result.dryRun, true);
+    assert.deepStrictEqual(result.expired, ['expired']);
+    assert.deepStrictEqual(result.orphaned, ['orphan']);
+    assert.deepStrictEqual(fs.readdirSync(downloadsDir).sort(), ['expired', 'orphan']);
+    assert.notStrictEqual(await redisClient.get('cache:url:album:3'), null);
+    assert.notStrictEqual(await janitor.getExpiry('expired'), null);
+});
+
+test('evicts least recently used jobs until usage fits the limit', async () => {
+    const janitor = createJanitor({ storageLimitBytes: 250 });
+    const now = Date.now();
+
+    for (const [jobId, lastAccess] of [['a', 1], ['b', 3], ['c', 2], ['d', 4]]) {
+        createJobDir(jobId);
+        await redisClient.set(`cache:url:album:${jobId}`, JSON.stringify({ jobId }));
+        await janitor.track(jobId, `cache:url:album:${jobId}`, now + 60000, 100);
+        await redisClient.zadd('downloads:last-access', lastAccess, jobId);
+    }
+    // A cache hit on b makes it the most recently used
+    await janitor.touch('b');
+
+    assert.deepStrictEqual(await janitor.enforceStorageLimit(), ['a', 'c']);
+    assert.deepStrictEqual(fs.readdirSync(downloadsDir).sort(), ['b', 'd']);
+    assert.strictEqual(await redisClient.get('cache:url:album:a'), null);
+
+    const usage = await janitor.getUsage();
+    assert.strictEqual(usage.usedBytes, 200);
+    assert.strictEqual(usage.usedPercent, 80);
+    assert.strictEqual(usage.evictions, 2);
+    assert.strictEqual(usage.evictedBytes, 200);
+
+    // Already under the limit: nothing more goes
+    assert.deepStrictEqual(await janitor.enforceStorageLimit(), []);
+});
+
+test('never evicts the protected job', async () => {
+    const janitor = createJanitor({ storageLimitBytes: 100 });
+
+    await janitor.track('older', 'cache:url:album:older', Date.now() + 60000, 100);
+    await redisClient.zadd('downloads:last-access', 1, 'older');
+    await janitor.track('just-finished', 'cache:url:album:new', Date.now() + 60000, 150);
+    await redisClient.zadd('downloads:last-access', 0, 'just-finished');
+
+    // Even alone over the limit, the download that just finished stays
+    assert.deepStrictEqual(await janitor.enforceStorageLimit('just-finished'), ['older']);
+    assert.deepStrictEqual(await janitor.enforceStorageLimit('just-finished'), []);
+    assert.strictEqual((await janitor.getUsage()).usedBytes, 150);
+});
+
+test('no limit means no evictions', async () => {
+    const janitor = createJanitor();
+    await janitor.track('a', 'cache:url:album:a', Date.now() + 60000, 1000);
+
+    assert.deepStrictEqual(await janitor.enforceStorageLimit(), []);
+    assert.strictEqual((await janitor.getUsage()).usedPercent, null);
+});
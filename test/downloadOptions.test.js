@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeDownloadOptions, buildOptionArgs } = require('../lib/downloadOptions');
+
+test('drops defaults so equivalent requests share a cache entry', () => {
+    assert.deepStrictEqual(normalizeDownloadOptions(undefined), { options: {} });
+    assert.deepStrictEqual(
+        normalizeDownloadOptions({ codec: 'aac-legacy', coverSize: 1200, saveCover: false, syncedLyrics: 'lrc' }),
+        { options: {} }
+    );
+
+    const { options } = normalizeDownloadOptions({ syncedLyrics: 'none', codec: 'alac', coverSize: 3000 });
+    assert.deepStrictEqual(Object.keys(options), ['codec', 'coverSize', 'syncedLyrics']);
+});
+
+test('rejects values outside the allow-lists', () => {
+    assert.match(normalizeDownloadOptions('alac').error, /must be an object/);
+    assert.match(normalizeDownloadOptions({ bitrate: 320 }).error, /Unknown download options: bitrate/);
+    assert.match(normalizeDownloadOptions({ codec: 'mp3' }).error, /options\.codec must be one of/);
+    assert.match(normalizeDownloadOptions({ coverSize: '600' }).error, /options\.coverSize/);
+    assert.match(normalizeDownloadOptions({ coverSize: 50 }).error, /options\.coverSize/);
+    assert.match(normalizeDownloadOptions({ saveCover: 'yes' }).error, /options\.saveCover/);
+    assert.match(normalizeDownloadOptions({ musicVideoResolution: '4k' }).error, /musicVideoResolution/);
+});
+
+test('templates must stay inside the job directory and use known tags', () => {
+    const { options } = normalizeDownloadOptions({ template: { fileSingleDisc: '{track:02d} {title}' } });
+    assert.deepStrictEqual(options.template, { fileSingleDisc: '{track:02d} {title}' });
+
+    const hostile = [
+        '../{title}',
+        '/etc/{title}',
+        '{album}//{title}',
+        '{album}\\{title}',
+        '{title}\n',
+        '{__class__}',
+        '{title:!r}',
+        '{title'
+    ];
+    for (const template of hostile) {
+        assert.ok(normalizeDownloadOptions({ template: { folderAlbum: template } }).error, template);
+    }
+    assert.match(normalizeDownloadOptions({ template: { folder: '{album}' } }).error, /Unknown templates: folder/);
+});
+
+test('maps options to gamdl flags', () => {
+    const { options } = normalizeDownloadOptions({
+        codec: 'atmos',
+        coverSize: 3000,
+        coverFormat: 'png',
+        saveCover: true,
+        syncedLyrics: 'none',
+        musicVideoResolution: '1080p',
+        template: { folderAlbum: '{album_artist}/{album}' }
+    });
+
+    assert.deepStrictEqual(buildOptionArgs(options), [
+        '--codec-song', 'atmos',
+        '--cover-size', '3000',
+        '--cover-format', 'png',
+        '--save-cover',
+        '--no-synced-lyrics',
+        '--music-video-resolution', '1080p',
+        '--template-folder-album', '{album_artist}/{album}'
+    ]);
+    assert.deepStrictEqual(buildOptionArgs({ syncedLyrics: 'ttml' }), ['--synced-lyrics-format', 'ttml']);
+    assert.deepStrictEqual(buildOptionArgs(), []);
+});
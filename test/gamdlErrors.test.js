@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { classifyGamdlError, getHttpStatus } = require('../lib/gamdlErrors');
+
+function gamdlFailure(stderr, extra = {}) {
+    return Object.assign(new Error(`gamdl exited with code 1\n${stderr}`), {
+        code: 1,
+        stdout: '',
+        stderr,
+        ...extra
+    });
+}
+
+test('recognises expired cookies, storefront and stream problems in the log', () => {
+    let failure = classifyGamdlError(gamdlFailure('[CRITICAL 12:00:00] media-user-token not found in cookies'));
+    assert.strictEqual(failure.code, 'COOKIES_EXPIRED');
+    assert.strictEqual(failure.httpStatus, 503);
+    assert.strictEqual(failure.transient, false);
+
+    failure = classifyGamdlError(gamdlFailure('[ERROR    12:00:00] (Track 1/1) Song is not available in the selected storefront, skipping'));
+    assert.strictEqual(failure.code, 'NOT_AVAILABLE_IN_STOREFRONT');
+    assert.strictEqual(failure.httpStatus, 451);
+
+    failure = classifyGamdlError(gamdlFailure('[WARNING  12:00:00] (Track 1/1) Song is not streamable or downloadable, skipping'));
+    assert.strictEqual(failure.code, 'NOT_STREAMABLE');
+    assert.strictEqual(failure.httpStatus, 422);
+});
+
+test('timeouts and empty runs get their own codes', () => {
+    let failure = classifyGamdlError(gamdlFailure('', { code: null, killed: true, timedOut: true }));
+    assert.strictEqual(failure.code, 'TIMEOUT');
+    assert.strictEqual(failure.transient, true);
+
+    failure = classifyGamdlError(Object.assign(new Error('No media files found after download'), {
+        stdout: '',
+        stderr: '[INFO     12:00:00] Done (0 errors)',
+        noOutput: true
+    }));
+    assert.strictEqual(failure.code, 'NO_OUTPUT');
+    assert.strictEqual(failure.httpStatus, 502);
+});
+
+test('anything else is UNKNOWN, retried only for network errors', () => {
+    let failure = classifyGamdlError(gamdlFailure('Traceback (most recent call last):\nKeyError: "songList"'));
+    assert.strictEqual(failure.code, 'UNKNOWN');
+    assert.strictEqual(failure.transient, false);
+
+    failure = classifyGamdlError(gamdlFailure('requests.exceptions.ConnectionError: Connection reset by peer'));
+    assert.strictEqual(failure.code, 'UNKNOWN');
+    assert.strictEqual(failure.transient, true);
+
+    failure = classifyGamdlError(Object.assign(new Error('spawn gamdl ENOENT'), { code: 'ENOENT' }));
+    assert.strictEqual(failure.logTail, 'spawn gamdl ENOENT');
+    assert.strictEqual(getHttpStatus('SOMETHING_NEW'), 500);
+});
+
+test('keeps only the tail of a long log', () => {
+    const lines = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`);
+    const failure = classifyGamdlError(gamdlFailure(lines.join('\r\n')));
+    const tail = failure.logTail.split('\n');
+
+    assert.strictEqual(tail.length, 30);
+    assert.strictEqual(tail[0], 'line 71');
+    assert.strictEqual(tail[29], 'line 100');
+});
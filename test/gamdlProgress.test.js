@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const GamdlProgressParser = require('../lib/gamdlProgress');
+
+test('parses track, stage and percent from gamdl output', () => {
+    const parser = new GamdlProgressParser();
+
+    let progress = parser.parse('[INFO     12:00:00] (Track 2/10 from URL 1/1) Downloading "Second Song"');
+    assert.strictEqual(progress.trackIndex, 2);
+    assert.strictEqual(progress.trackTotal, 10);
+    assert.strictEqual(progress.trackName, 'Second Song');
+    assert.strictEqual(progress.stage, 'downloading');
+    assert.strictEqual(progress.overallPercent, 10);
+
+    progress = parser.parse('[download]  50.0% of 8.00MiB at 2.00MiB/s');
+    assert.strictEqual(progress.percent, 50);
+    assert.strictEqual(progress.overallPercent, 15);
+
+    progress = parser.parse('[DEBUG    12:00:05] Decrypting/remuxing to "/app/downloads/job/Artist/Album/02 Second Song.m4a"');
+    assert.strictEqual(progress.stage, 'decrypting');
+
+    progress = parser.parse('[DEBUG    12:00:06] Applying tags');
+    assert.strictEqual(progress.stage, 'tagging');
+});
+
+test('returns null for lines that change nothing', () => {
+    const parser = new GamdlProgressParser();
+
+    assert.strictEqual(parser.parse('[DEBUG    12:00:00] Getting stream info'), null);
+    assert.notStrictEqual(parser.parse('[download]  10.0%'), null);
+    assert.strictEqual(parser.parse('[download]  10.4%'), null);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runGamdl } = require('../lib/gamdlRunner');
+const MusicInfoService = require('../lib/musicInfoService');
+
+const musicInfoService = new MusicInfoService();
+
+const HOSTILE_URLS = [
+    'https://music.apple.com/us/album/x/123"; touch /tmp/pwned; "',
+    'https://music.apple.com/us/album/x/123`touch /tmp/pwned`',
+    'https://music.apple.com/us/album/x/123?i=1$(touch /tmp/pwned)',
+    'https://music.apple.com/us/album/x/123 && touch /tmp/pwned',
+    'https://evil.example.com/?next=https://music.apple.com/us/album/x/123',
+    'http://music.apple.com/us/album/x/123',
+    'https://music.apple.com.evil.example.com/us/album/x/123',
+    'https://music.apple.com/us/album/x/123\ntouch /tmp/pwned',
+];
+
+let stubDir;
+let originalPath;
+
+// Stub gamdl that records the argv it was given
+before(() => {
+    stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamdl-stub-'));
+    fs.writeFileSync(
+        path.join(stubDir, 'gamdl'),
+        '#!/usr/bin/env node\n' +
+        'const fs = require("fs");\n' +
+        'const path = require("path");\n' +
+        'const outputDir = process.argv[process.argv.indexOf("-o") + 1];\n' +
+        'fs.writeFileSync(path.join(outputDir, "argv.json"), JSON.stringify(process.argv.slice(2)));\n' +
+        'process.stdout.write("(Track 1/2 from URL 1/1) Downloading \\"Intro\\"\\n[download]  42.0%\\r[download] 100.0%\\n");\n' +
+        'console.log("stub done");\n',
+        { mode: 0o755 }
+    );
+    originalPath = process.env.PATH;
+    process.env.PATH = `${stubDir}${path.delimiter}${originalPath}`;
+});
+
+after(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(stubDir, { recursive: true, force: true });
+});
+
+test('canonicalizeUrl rebuilds valid URLs without slug or extra params', () => {
+    assert.strictEqual(
+        musicInfoService.canonicalizeUrl('https://music.apple.com/us/album/never-gonna-give-you-up/1624945511?i=1624945512&l=en'),
+        'https://music.apple.com/us/album/1624945511?i=1624945512'
+    );
+    assert.strictEqual(
+        musicInfoService.canonicalizeUrl('https://music.apple.com/gb/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb'),
+        'https://music.apple.com/gb/playlist/pl.f4d106fed2bd41149aaacabb233eb5eb'
+    );
+    assert.strictEqual(
+        musicInfoService.canonicalizeUrl('https://music.apple.com/library/playlist/p.AbC123'),
+        'https://music.apple.com/library/playlist/p.AbC123'
+    );
+});
+
+test('canonicalizeUrl drops shell metacharacters carried in the slug', () => {
+    const url = musicInfoService.canonicalizeUrl('https://music.apple.com/us/album/$(touch%20pwned)/123');
+    assert.strictEqual(url, 'https://music.apple.com/us/album/123');
+});
+
+test('canonicalizeUrl rejects hostile URLs', () => {
+    for (const url of HOSTILE_URLS) {
+        assert.strictEqual(musicInfoService.canonicalizeUrl(url), null, url);
+    }
+});
+
+test('runGamdl passes the URL as a single argument without a shell', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamdl-out-'));
+    const marker = path.join(outputDir, 'pwned');
+
+    try {
+        for (const url of HOSTILE_URLS) {
+            const hostileUrl = url.replace(/\/tmp\/pwned/g, marker);
+            const { stdout } = await runGamdl({ url: hostileUrl, outputDir, cookiesPath: './cookies.txt' });
+
+            assert.match(stdout, /stub done/);
+            const argv = JSON.parse(fs.readFileSync(path.join(outputDir, 'argv.json'), 'utf8'));
+            assert.deepStrictEqual(argv.slice(0, 5), [hostileUrl, '-o', outputDir, '--cookies-path', './cookies.txt']);
+            assert.strictEqual(fs.existsSync(marker), false, hostileUrl);
+        }
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
+
+test('runGamdl reports output line by line', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamdl-out-'));
+    const lines = [];
+
+    try {
+        await runGamdl(
+            { url: 'https://music.apple.com/us/album/123', outputDir, cookiesPath: './cookies.txt' },
+            { onLine: (line) => lines.push(line) }
+        );
+        assert.deepStrictEqual(lines, [
+            '(Track 1/2 from URL 1/1) Downloading "Intro"',
+            '[download]  42.0%',
+            '[download] 100.0%',
+            'stub done',
+        ]);
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listJobFiles } = require('../lib/downloadFiles');
+const { selectArchiveFiles, getArchiveName, streamArchive } = require('../lib/jobArchive');
+
+const JOB_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+const AVAILABLE = [
+    { fileName: 'Artist/Album/01 Intro.m4a', kind: 'media' },
+    { fileName: 'Artist/Album/01 Intro.lrc', kind: 'lyrics' },
+    { fileName: 'Artist/Album/Cover.jpg', kind: 'cover' }
+];
+
+test('selects files by kind and by name', () => {
+    assert.deepStrictEqual(selectArchiveFiles(AVAILABLE, {}).files, AVAILABLE);
+    assert.deepStrictEqual(selectArchiveFiles(AVAILABLE, { include: 'media,cover' }).files, [AVAILABLE[0], AVAILABLE[2]]);
+    assert.deepStrictEqual(selectArchiveFiles(AVAILABLE, { files: 'Artist/Album/Cover.jpg' }).files, [AVAILABLE[2]]);
+    assert.deepStrictEqual(
+        selectArchiveFiles(AVAILABLE, { include: 'lyrics', files: ['Artist/Album/01 Intro.m4a', 'Artist/Album/01 Intro.lrc'] }).files,
+        [AVAILABLE[1]]
+    );
+
+    assert.match(selectArchiveFiles(AVAILABLE, { include: 'video' }).error, /include must be/);
+    assert.match(selectArchiveFiles(AVAILABLE, { files: '../../etc/passwd' }).error, /Unknown files: \.\.\/\.\.\/etc\/passwd/);
+});
+
+test('names the archive after the release', () => {
+    assert.strictEqual(getArchiveName({ type: 'album', artistName: 'AC/DC', name: 'Back in Black' }, JOB_ID), 'AC_DC - Back in Black.zip');
+    assert.strictEqual(getArchiveName({ type: 'playlist', curatorName: 'Apple Music', name: "Today's Hits" }, JOB_ID), "Today's Hits.zip");
+    assert.strictEqual(getArchiveName({ type: 'song', artistName: 'Björk', name: 'Jóga' }, JOB_ID), 'Björk - Jóga.zip');
+    assert.strictEqual(getArchiveName({ type: 'album', name: '..' }, JOB_ID), `${JOB_ID}.zip`);
+    assert.strictEqual(getArchiveName(null, JOB_ID), `${JOB_ID}.zip`);
+});
+
+test('streams every file into a ZIP', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+    const outputDir = path.join(dir, JOB_ID);
+    fs.mkdirSync(path.join(outputDir, 'Artist', 'Album'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'Artist', 'Album', '01 Intro.m4a'), 'audio bytes');
+    fs.writeFileSync(path.join(outputDir, 'Artist', 'Album', 'Cover.jpg'), 'cover bytes');
+    fs.writeFileSync(path.join(outputDir, 'argv.json'), '[]');
+
+    try {
+        const files = await listJobFiles(outputDir);
+        assert.deepStrictEqual(files.map(file => [file.fileName, file.kind]), [
+            ['Artist/Album/01 Intro.m4a', 'media'],
+            ['Artist/Album/Cover.jpg', 'cover']
+        ]);
+
+        const zipPath = path.join(dir, 'job.zip');
+        await streamArchive(outputDir, files, fs.createWriteStream(zipPath));
+
+        const zip = fs.readFileSync(zipPath);
+        assert.strictEqual(zip.subarray(0, 4).toString('binary'), 'PK\x03\x04');
+        for (const text of ['Artist/Album/01 Intro.m4a', 'audio bytes', 'Artist/Album/Cover.jpg', 'cover bytes']) {
+            assert.ok(zip.includes(text), text);
+        }
+        assert.ok(!zip.includes('argv.json'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTtml, formatLyrics } = require('../lib/lyricsFormat');
+
+const SYNCED_TTML = [
+    '<tt xmlns="http://www.w3.org/ns/ttml" itunes:timing="Line" xml:lang="en">',
+    '<head><metadata><iTunesMetadata><songwriters><songwriter>Someone</songwriter></songwriters></iTunesMetadata></metadata></head>',
+    '<body dur="3:32.100">',
+    '<div begin="18.5" end="1:05.020">',
+    '<p begin="18.5" end="21.8">We&apos;re no strangers to love</p>',
+    '<p begin="22.1s" end="25.4s">You know the rules &amp; so do I</p>',
+    '</div>',
+    '<div begin="1:02.003" end="1:05.020"><p begin="00:01:02.003" end="00:01:05.020"><span begin="1:02.003" end="1:02.5">Ne</span><span begin="1:02.5" end="1:03">ver</span> <span begin="1:03" end="1:05.020">gonna</span></p></div>',
+    '</body></tt>'
+].join('\n');
+
+const UNSYNCED_TTML = '<tt itunes:timing="None"><body><div><p>First line</p><p>Second<br/>line</p></div></body></tt>';
+
+test('reads line timings in every TTML clock format', () => {
+    const { synced, lines } = parseTtml(SYNCED_TTML);
+
+    assert.strictEqual(synced, true);
+    assert.deepStrictEqual(lines, [
+        { startMs: 18500, endMs: 21800, text: "We're no strangers to love" },
+        { startMs: 22100, endMs: 25400, text: 'You know the rules & so do I' },
+        { startMs: 62003, endMs: 65020, text: 'Never gonna' }
+    ]);
+});
+
+test('formats LRC and plain text', () => {
+    assert.deepStrictEqual(formatLyrics(SYNCED_TTML, 'lrc'), {
+        lyrics: "[00:18.50]We're no strangers to love\n[00:22.10]You know the rules & so do I\n[01:02.00]Never gonna",
+        synced: true
+    });
+    assert.strictEqual(formatLyrics(SYNCED_TTML, 'ttml').lyrics, SYNCED_TTML);
+    assert.deepStrictEqual(formatLyrics(UNSYNCED_TTML, 'text'), { lyrics: 'First line\nSecond line', synced: false });
+});
+
+test('refuses LRC for lyrics without timing', () => {
+    assert.match(formatLyrics(UNSYNCED_TTML, 'lrc').error, /not time-synced/);
+    assert.match(formatLyrics(SYNCED_TTML, 'srt').error, /format must be one of/);
+});
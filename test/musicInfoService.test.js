@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MusicInfoService = require('../lib/musicInfoService');
+
+const musicInfoService = new MusicInfoService();
+
+test('normalizeIsrc and normalizeUpc accept only well-formed codes', () => {
+    assert.strictEqual(musicInfoService.normalizeIsrc('gb-arl-93-00135'), 'GBARL9300135');
+    assert.strictEqual(musicInfoService.normalizeIsrc('GBARL930013'), null);
+    assert.strictEqual(musicInfoService.normalizeIsrc('GBARL9300135&filter[x]=1'), null);
+    assert.strictEqual(musicInfoService.normalizeIsrc(['GBARL9300135']), null);
+
+    assert.strictEqual(musicInfoService.normalizeUpc('0 35627 13062 5'), '035627130625');
+    assert.strictEqual(musicInfoService.normalizeUpc(5021732234706), '5021732234706');
+    assert.strictEqual(musicInfoService.normalizeUpc('12345'), null);
+});
+
+test('withStorefront moves a canonical URL to another storefront', () => {
+    assert.strictEqual(
+        musicInfoService.withStorefront('https://music.apple.com/us/album/1624945511?i=1624945512', 'jp'),
+        'https://music.apple.com/jp/album/1624945511?i=1624945512'
+    );
+});
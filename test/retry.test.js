@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    getBackoffDelay,
+    parseRetryAfter,
+    isTransientHttpError,
+    isTransientJobError
+} = require('../lib/retry');
+
+test('backoff grows exponentially with jitter and stays under the cap', () => {
+    for (let i = 0; i < 20; i++) {
+        const first = getBackoffDelay(1, 1000, 60000);
+        assert.ok(first >= 500 && first <= 1000);
+
+        const third = getBackoffDelay(3, 1000, 60000);
+        assert.ok(third >= 2000 && third <= 4000);
+
+        assert.ok(getBackoffDelay(20, 1000, 60000) <= 60000);
+    }
+});
+
+test('reads Retry-After as seconds or as an HTTP date', () => {
+    const now = Date.parse('2025-01-24T12:00:00Z');
+
+    assert.strictEqual(parseRetryAfter('5', now), 5000);
+    assert.strictEqual(parseRetryAfter('Fri, 24 Jan 2025 12:00:30 GMT', now), 30000);
+    assert.strictEqual(parseRetryAfter('Fri, 24 Jan 2025 11:00:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+});
+
+test('only network errors, rate limits and 5xx responses are transient', () => {
+    assert.strictEqual(isTransientHttpError({ response: { status: 429 } }), true);
+    assert.strictEqual(isTransientHttpError({ response: { status: 503 } }), true);
+    assert.strictEqual(isTransientHttpError({ code: 'ECONNRESET' }), true);
+    assert.strictEqual(isTransientHttpError({ response: { status: 404 } }), false);
+    assert.strictEqual(isTransientHttpError({ response: { status: 401 } }), false);
+    assert.strictEqual(isTransientHttpError(new Error('Error getting album')), false);
+});
+
+test('classifies failed gamdl runs by timeout and output', () => {
+    assert.strictEqual(isTransientJobError({ killed: true, code: null }), true);
+    assert.strictEqual(isTransientJobError({
+        code: 1,
+        stderr: 'requests.exceptions.ConnectionError: Max retries exceeded with url'
+    }), true);
+    assert.strictEqual(isTransientJobError({
+        code: 1,
+        stderr: 'requests.exceptions.HTTPError: 503 Server Error: Service Unavailable'
+    }), true);
+    assert.strictEqual(isTransientJobError({ code: 1, stderr: 'Invalid cookies file' }), false);
+    assert.strictEqual(isTransientJobError({ code: 'ENOENT' }), false);
+    assert.strictEqual(isTransientJobError(new Error('No media files found after download')), false);
+    assert.strictEqual(isTransientJobError(Object.assign(new Error('flaky'), { transient: true })), true);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WebhookService = require('../lib/webhookService');
+
+const webhookService = new WebhookService(null, null, 'secret');
+
+test('accepts https callbacks to public addresses', async () => {
+    assert.strictEqual(await webhookService.getCallbackUrlError('https://8.8.8.8/hooks/gamdl'), null);
+    assert.strictEqual(await webhookService.getCallbackUrlError('https://[2001:4860:4860::8888]/hooks'), null);
+});
+
+test('refuses plain http and malformed callbacks', async () => {
+    assert.match(await webhookService.getCallbackUrlError('http://8.8.8.8/hooks'), /must use https$/);
+    assert.strictEqual(await webhookService.getCallbackUrlError('not a url'), 'Invalid callbackUrl');
+});
+
+test('refuses loopback, private and link-local destinations', async () => {
+    for (const callbackUrl of [
+        'https://127.0.0.1/',
+        'https://localhost:6379/',
+        'https://10.1.2.3/',
+        'https://172.20.0.5/',
+        'https://192.168.1.10/',
+        'https://169.254.169.254/latest/meta-data',
+        'https://[::1]/',
+        'https://[fd00::1]/',
+        'https://[::ffff:127.0.0.1]/'
+    ]) {
+        assert.match(await webhookService.getCallbackUrlError(callbackUrl), /private or loopback/, callbackUrl);
+    }
+});
+
+test('allowPrivateNetworks permits private hosts and http', async () => {
+    const trusted = new WebhookService(null, null, 'secret', { allowPrivateNetworks: true });
+    assert.strictEqual(await trusted.getCallbackUrlError('http://127.0.0.1:8080/hooks'), null);
+    assert.match(await trusted.getCallbackUrlError('ftp://127.0.0.1/'), /must use https or http$/);
+});